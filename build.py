@@ -147,7 +147,7 @@ all_oberon_sources = [
     'EberonSymbols.ob', 
     'EberonContextCase.ob', 'EberonContextExpression.ob',
     'EberonContextIdentdef.ob', 'EberonContextIf.ob',
-    'EberonContextInPlace.ob', 'EberonContextProcedure',
+    'EberonContextInPlace.ob', 'EberonContextProcedure', 'EberonContextTry.ob',
     'EberonContextType.ob', 'EberonContextVar.ob', 'EberonLanguageContext.ob',
     'OberonContext.ob', 'OberonContextType.ob', 'OberonContextVar.ob',
     'OberonSymbols.ob', 'Lexer.ob', 'Module.ob']
@@ -0,0 +1,79 @@
+"use strict";
+
+var Class = require("rtl.js").Class;
+
+var severity = {
+    error: "error",
+    warning: "warning"
+};
+
+// code for errors reported by parser itself (see Parser.required)
+var syntaxCode = "syntax";
+// code for errors raised without code (see Errors.raiseCode)
+var otherCode = "other";
+
+function errorCode(e){
+    return e.code || otherCode;
+}
+
+var Diagnostic = Class.extend({
+    init: function Diagnostic(message, code, severity){
+        this.message = message;
+        this.code = code;
+        this.severity = severity;
+        this.file = undefined;
+        this.location = undefined; // file as it is displayed to user
+        this.line = undefined;
+        this.column = undefined;
+        this.endLine = undefined;
+        this.endColumn = undefined;
+    },
+    setFile: function(file, location){
+        this.file = file;
+        this.location = location;
+    },
+    setRange: function(line, column, endLine, endColumn){
+        this.line = line;
+        this.column = column;
+        this.endLine = endLine;
+        this.endColumn = endColumn;
+    },
+    toString: function(){
+        var result = this.message;
+        if (this.severity == severity.warning)
+            result = "warning: " + result;
+        if (this.line !== undefined)
+            result = "line " + this.line + ": " + result;
+        if (this.location)
+            result = this.location + ", " + result;
+        return result;
+    },
+    toJSON: function(){
+        return {
+            file: this.file,
+            line: this.line,
+            column: this.column,
+            endLine: this.endLine,
+            endColumn: this.endColumn,
+            message: this.message,
+            code: this.code,
+            severity: this.severity
+        };
+    }
+});
+
+function makeError(message, code){
+    return new Diagnostic(message, code || otherCode, severity.error);
+}
+
+function makeWarning(message, code){
+    return new Diagnostic(message, code || otherCode, severity.warning);
+}
+
+exports.Diagnostic = Diagnostic;
+exports.errorCode = errorCode;
+exports.makeError = makeError;
+exports.makeWarning = makeWarning;
+exports.otherCode = otherCode;
+exports.severity = severity;
+exports.syntaxCode = syntaxCode;
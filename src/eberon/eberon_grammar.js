@@ -13,6 +13,7 @@ var EberonContextIf = require("js/EberonContextIf.js");
 var EberonContextInPlace = require("js/EberonContextInPlace.js");
 var EberonContextLoop = require("js/EberonContextLoop.js");
 var EberonContextProcedure = require("js/EberonContextProcedure.js");
+var EberonContextTry = require("js/EberonContextTry.js");
 var EberonContextType = require("js/EberonContextType.js");
 var EberonContextVar = require("js/EberonContextVar.js");
 var EberonLanguageContext = require("js/EberonLanguageContext.js");
@@ -30,15 +31,29 @@ var or = Parser.or;
 var repeat = Parser.repeat;
 var required = Parser.required;
 
-function makeStrucType(base, type){
-    var mapType = context(and("MAP", "OF", type), EberonContextType.Map);
-    return or(base, mapType);
-}
-
-function makeStatement(base, statementSequence, ident, expression){
+function makeStrucType(base, type, ident, qualident, identdef, formalParameters){
+    var mapType = context(and("MAP", optional(qualident), "OF", type), EberonContextType.Map);
+    var methodHeading = makeMethodHeading(identdef, formalParameters);
+    var interfaceType = and("INTERFACE", 
+                            context(and(optional(and(methodHeading, repeat(and(";", methodHeading)), optional(";"))),
+                                        required("END", "END expected (INTERFACE)")),
+                                    EberonContextType.Interface));
+    var enumType = and("(", context(and(ident, repeat(and(",", ident)), required(")", "')' expected (enumeration)")),
+                                    EberonContextType.Enum));
+    return or(base, mapType, interfaceType, enumType);
+}
+
+function makeStatement(base, statementSequence, ident, expression, caseParser){
+    var handlers = context(and(ident, required("OF", "OF expected (EXCEPT)"), caseParser, repeat(and("|", caseParser))),
+                           EberonContextTry.Except);
     return or(context(and("FOR", ident, optional(and(",", ident)), "IN", expression, "DO", 
                           statementSequence, required("END", "END expected (FOR)")), 
                       EberonContextLoop.ForEach),
+              and("TRY", context(and(statementSequence,
+                                     optional(and("EXCEPT", handlers)),
+                                     optional(and("FINALLY", statementSequence)),
+                                     required("END", "END expected (TRY)")),
+                                 EberonContextTry.Type)),
               base
               );
 }
@@ -65,14 +80,21 @@ function makeIdentdef(ident){
     return context(and(ident, optional(or("*", "-"))), EberonContextIdentdef.Type);
 }
 
-function makeDesignator(ident, qualident, selector, actualParameters){
+function makeDesignator(ident, qualident, selector, actualParameters, typeName, formalParameters, procedureBody){
     var self = and("SELF", optional(and("(", "POINTER", ")")));
-    var operatorNew = and("NEW", context(and(qualident, actualParameters), EberonContextDesignator.OperatorNew));
+    var operatorNew = and("NEW", context(and(typeName, actualParameters), EberonContextDesignator.OperatorNew));
     var designator = context(
         and(or(self, "SUPER", operatorNew, qualident), 
             repeat(or(selector, actualParameters))), EberonContextDesignator.Type);
+    var anonymousProcedure = and(
+        "PROCEDURE", 
+        context(and(context(optional(formalParameters), EberonContextProcedure.FormalParametersProcDecl), 
+                    ";",
+                    procedureBody),
+                EberonContextProcedure.AnonymousProcedure));
     return { 
-        factor: context(designator, EberonContextDesignator.ExpressionProcedureCall),
+        factor: or(anonymousProcedure, 
+                   context(designator, EberonContextDesignator.ExpressionProcedureCall)),
         assignmentOrProcedureCall: function(assignment, expression){
             return makeAssignmentOrProcedureCall(ident, designator, assignment, expression);
         }
@@ -150,6 +172,24 @@ function makeSet(expression){
     return or(Grammar.makeSet(expression), array);
 }
 
+function makeTypeName(qualident, type){
+    var typeArguments = and("<", type, repeat(and(",", type)), required(">", "'>' expected after type arguments"));
+    return context(and(qualident, optional(typeArguments)), EberonContextType.TypeName);
+}
+
+function makeRecordBase(base, qualident){
+    var interfaces = context(and(qualident, repeat(and(",", qualident))), EberonContextType.Implements);
+    var instanceBase = context(and("(", qualident, "<"), EberonContextType.InstanceBase);
+    return and(optional(or(instanceBase, base)), optional(and("IMPLEMENTS", interfaces)));
+}
+
+function makeTypeDeclaration(identdef, ident, strucType){
+    var typeParameters = context(
+        and("<", ident, repeat(and(",", ident)), required(">", "'>' expected after type parameters")),
+        EberonContextType.TypeParameters);
+    return and(identdef, optional(typeParameters), "=", strucType);
+}
+
 exports.language = {
     grammar: Grammar.make(
         makeIdentdef,
@@ -167,6 +207,9 @@ exports.language = {
         makeFormalResult,
         makeReturn,
         makeSet,
+        makeTypeName,
+        makeTypeDeclaration,
+        makeRecordBase,
         { 
             constDeclaration:   EberonContext.ConstDeclaration, 
             typeDeclaration:    EberonContextType.Declaration,
@@ -178,11 +221,12 @@ exports.language = {
             For:                EberonContextLoop.For,
             While:              EberonContextLoop.While,
             If:                 EberonContextIf.Type,
+            Case:               EberonContextCase.Type,
             CaseLabel:          EberonContextCase.Label,
             Repeat:             EberonContextLoop.Repeat,
             ModuleDeclaration:  EberonContextProcedure.ModuleDeclaration
         },
-        Grammar.reservedWords.concat(["SELF", "SUPER", "MAP"])
+        Grammar.reservedWords.concat(["SELF", "SUPER", "MAP", "TRY", "EXCEPT", "FINALLY", "INTERFACE", "IMPLEMENTS"])
         ),
     stdSymbols: Symbols.makeStd(),
     types: {
@@ -199,7 +243,7 @@ exports.language = {
         nil: CodeGenerator.nullGenerator()
     },                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                                      
     makeCodeTraits: function(codeGenerator, rtl, options){
-        return new EberonLanguageContext.CodeTraits(codeGenerator, rtl, options && options.checkIndexes); 
+        return new EberonLanguageContext.CodeTraits(codeGenerator, rtl, options && options.checkIndexes, options && options.checkOverflow, options && options.checkNil, options && options.debug, options && options.stripAssertions); 
     },
     rtl: {
         base: EbRtl.Type,
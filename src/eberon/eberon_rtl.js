@@ -12,7 +12,7 @@ function extendMap(base, ext){
 var methods = extendMap(oberon_rtl.rtl.methods, {
     getMappedValue: function(map, key){
         if (!map.hasOwnProperty(key))
-            throw new Error("invalid key: " + key);
+            throw this.__error("invalid key: " + key);
         return map[key];
     },
     clearMap: function(map){
@@ -48,14 +48,49 @@ var methods = extendMap(oberon_rtl.rtl.methods, {
             for(k in from)
                 to[k] = this.clone(from[k], type);
     },
+    // predefined record EXCEPTION: base of the records raised by RAISE
+    EXCEPTION: function EXCEPTION(message){
+        this.message = message;
+    },
+    // exception caught by TRY: JS error is wrapped into EXCEPTION, HALT is not caught
+    catchException: function(e){
+        if (e instanceof this.EXCEPTION)
+            return e;
+        if (e && e.haltCode !== undefined)
+            throw e;
+        var result = new this.EXCEPTION(e instanceof Error ? e.message : "" + e);
+        result.$error = e;
+        return result;
+    },
+    // wrapped JS error is raised again as it was caught
+    raise: function(e){
+        throw e.$error === undefined ? e : e.$error;
+    },
+    // constructor of record implementing INTERFACE(s) is marked with the interface ids
+    implement: function(cons, ids){
+        for(var i = 0; i < ids.length; ++i)
+            cons.prototype[ids[i]] = true;
+    },
+    isImplemented: function(obj, id){
+        return !!obj && obj[id] === true;
+    },
+    interfaceGuard: function(from, id){
+        if (from && from[id] !== true)
+            throw this.__error("cannot cast to '" + id + "'");
+        return from;
+    },
     __inheritedClone: oberon_rtl.rtl.methods.clone,
     __inheritedCopy: oberon_rtl.rtl.methods.copy
 });
 oberon_rtl.applyMap(methods, exports);
+exports.interop = oberon_rtl.interop;
 
 var dependencies = extendMap(oberon_rtl.rtl.dependencies, { 
         "clone": oberon_rtl.rtl.dependencies.clone.concat(["__copyMap", "__inheritedClone"]),
-        "copy": oberon_rtl.rtl.dependencies.copy.concat(["clearMap", "__copyMap", "__inheritedCopy"])
+        "copy": oberon_rtl.rtl.dependencies.copy.concat(["clearMap", "__copyMap", "__inheritedCopy"]),
+        "getMappedValue": ["__error"],
+        "catchException": ["EXCEPTION"],
+        "interfaceGuard": ["__error"]
     });
 
 exports.rtl = {
@@ -22,12 +22,19 @@ var repeat = Parser.repeat;
 
 var context = Parser.context;
 var emit = Parser.emit;
+var mapSource = Parser.mapSource;
+var recover = Parser.recover;
+var traceLine = Parser.traceLine;
 var required = Parser.required;
 
 var reservedWords = ["ARRAY", "IMPORT", "THEN", "BEGIN", "IN", "TO", "BY", "IS", "TRUE", "CASE", "MOD", "TYPE", "CONST", 
                      "MODULE", "UNTIL", "DIV", "NIL", "VAR", "DO", "OF", "WHILE", "ELSE", "OR", "ELSIF", "POINTER", "END", 
                      "PROCEDURE", "FALSE", "RECORD", "FOR", "REPEAT", "IF", "RETURN"];
 
+// tokens to continue parsing at after erroneous statement or declaration
+var statementEnd = [";", "END", "ELSE", "ELSIF", "UNTIL", "|"];
+var declarationEnd = [";"];
+
 function make(makeIdentdef,
               makeDesignator,
               makeExpression,
@@ -43,6 +50,9 @@ function make(makeIdentdef,
               makeFormalResult,
               makeReturn,
               makeSet,
+              makeTypeName,
+              makeTypeDeclaration,
+              makeRecordBase,
               contexts,
               reservedWords
               ){
@@ -55,6 +65,11 @@ var ident = function(stream, context){
 var qualident = context(and(optional(context(and(ident, "."), ContextIdentdef.QualifiedModule)), ident),
                         ContextIdentdef.Qualified);
 var identdef = makeIdentdef(ident);
+var typeName = makeTypeName(
+        qualident,
+        // break recursive declaration of type
+        function(stream, context){return type(stream, context);}
+        );
 
 var selector = or(and(point, ident)
                 // break recursive declaration of expList
@@ -67,13 +82,18 @@ var designator = makeDesignator(
         qualident, 
         selector,
         // break recursive declaration of actualParameters
-        function(stream, context){return actualParameters(stream, context);}
+        function(stream, context){return actualParameters(stream, context);},
+        typeName,
+        // break recursive declarations of formalParameters and procedureBody
+        function(stream, context){return formalParameters(stream, context);},
+        function(stream, context){return result.procedureBody(stream, context);}
         );
-var type = or(qualident,
+var type = or(typeName,
               function(stream, context){return strucType(stream, context);} // break recursive declaration of strucType
              );
 var identList = and(identdef, repeat(and(",", identdef)));
-var variableDeclaration = context(and(identList, ":", type), contexts.variableDeclaration);
+var variableDeclaration = recover(context(and(identList, ":", type), contexts.variableDeclaration),
+                                  declarationEnd);
 
 var integer = context(Lexer.integer, ContextExpression.Integer);
 var real = context(Lexer.real, ContextExpression.Real);
@@ -131,7 +151,7 @@ var caseLabelList = context(and(labelRange, repeat(and(",", labelRange))), Conte
 var caseParser = optional(context(and(caseLabelList, ":", statementSequence), contexts.CaseLabel));
 var caseStatement = and("CASE", context(and(expression
                       , "OF", caseParser, repeat(and("|", caseParser)), "END")
-                      , ContextCase.Type));
+                      , contexts.Case));
 
 var whileStatement = and("WHILE", 
                          context(and(expression, "DO", statementSequence, 
@@ -151,8 +171,8 @@ var forStatement = and("FOR",
                                  , statementSequence, required("END", "END expected (FOR)"))
                              , contexts.For));
 
-var statement = optional(
-    makeStatement(or( emit(designator.assignmentOrProcedureCall(assignment, expression), ContextAssignment.emitEnd),
+var statement = optional(recover(mapSource(traceLine(
+    makeStatement(or( designator.assignmentOrProcedureCall(assignment, expression),
                       ifStatement,
                       caseStatement,
                       whileStatement,
@@ -160,7 +180,9 @@ var statement = optional(
                       forStatement), 
                   statementSequence,
                   ident,
-                  expression));
+                  expression,
+                  caseParser))),
+    statementEnd));
 
 var fieldList = makeFieldList(
         identdef,
@@ -175,26 +197,28 @@ var arrayType = and("ARRAY",
                             contexts.ArrayDecl));
 
 var baseType = context(qualident, ContextType.RecordBase);
-var recordType = and("RECORD", context(and(optional(and("(", baseType, ")")), optional(fieldListSequence)
+var recordType = and("RECORD", context(and(makeRecordBase(and("(", baseType, ")"), qualident), optional(fieldListSequence)
                                      , "END"), contexts.recordDecl));
 
 var pointerType = and("POINTER", "TO", context(type, ContextType.Pointer));
 
-var formalType = context(and(repeat(makeFormalArray()), qualident), contexts.FormalType);
+var formalType = context(and(repeat(makeFormalArray()), typeName), contexts.FormalType);
 var fpSection = and(optional("VAR"), ident, repeat(and(",", ident)), ":", formalType);
 var formalParameters = and(
           "("
         , optional(context(and(fpSection, repeat(and(";", fpSection))), ContextProcedure.DefinedParameters))
         , required( ")" )
-        , optional(makeFormalResult(and(":", qualident), ident, actualParameters)));
+        , optional(makeFormalResult(and(":", typeName), ident, actualParameters)));
 
 var procedureType = and("PROCEDURE"
                       , context(optional(formalParameters), contexts.FormalParameters)
                         );
-var strucType = makeStrucType(or(arrayType, recordType, pointerType, procedureType), type);
-var typeDeclaration = context(and(identdef, "=", strucType), contexts.typeDeclaration);
+var strucType = makeStrucType(or(arrayType, recordType, pointerType, procedureType), type, ident, qualident, identdef, formalParameters);
+var typeDeclaration = recover(context(makeTypeDeclaration(identdef, ident, strucType), contexts.typeDeclaration),
+                              declarationEnd);
 
-var constantDeclaration = context(and(identdef, "=", constExpression), contexts.constDeclaration);
+var constantDeclaration = recover(context(and(identdef, "=", constExpression), contexts.constDeclaration),
+                                  declarationEnd);
 
 var imprt = and(ident, optional(and(":=", ident)));
 var importList = and("IMPORT", imprt, repeat(and(",", imprt)));
@@ -217,17 +241,31 @@ result.declarationSequence
     = and(optional(and("CONST", repeat(and(constantDeclaration, required(";"))))),
           optional(and("TYPE", context(repeat(and(typeDeclaration, required(";"))), ContextType.Section))),
           optional(and("VAR", repeat(and(variableDeclaration, required(";"))))),
-          repeat(and(result.procedureDeclaration, ";")));
+          repeat(and(recover(mapSource(result.procedureDeclaration), declarationEnd), ";")));
 result.procedureBody
     = and(result.declarationSequence,
           optional(and("BEGIN", statementSequence)),
-          optional(context(makeReturn(and("RETURN", expression)), ContextProcedure.Return)),
+          optional(traceLine(context(makeReturn(and("RETURN", expression)), ContextProcedure.Return))),
           required("END", "END expected (PROCEDURE)"));
+// foreign module declares JavaScript module: procedure headings only, no variables and no body
+var foreignProcedureDeclaration
+    = context(and("PROCEDURE", identdef, context(optional(formalParameters), contexts.FormalParameters)),
+              ContextModule.ForeignProcedure);
+var foreignDeclarationSequence
+    = and(optional(and("CONST", repeat(and(constantDeclaration, required(";"))))),
+          optional(and("TYPE", context(repeat(and(typeDeclaration, required(";"))), ContextType.Section))),
+          repeat(and(recover(mapSource(foreignProcedureDeclaration), declarationEnd), ";")));
+var moduleImport = context(optional(and(importList, ";")), ContextModule.Import);
 result.module
-    = context(and("MODULE", ident, ";",
-                  context(optional(and(importList, ";")), ContextModule.Import),
-                  result.declarationSequence,
-                  optional(and("BEGIN", statementSequence)),
+    = context(and("MODULE", ident, 
+                  or(and("[", required(context(Lexer.string, ContextModule.ForeignPath), "JavaScript module path expected"), 
+                         required("]"), required(";"),
+                         moduleImport,
+                         foreignDeclarationSequence),
+                     and(";",
+                         moduleImport,
+                         result.declarationSequence,
+                         optional(and("BEGIN", statementSequence)))),
                   required("END", "END expected (MODULE)"), ident, point),
               contexts.ModuleDeclaration);
 return result;
@@ -0,0 +1,124 @@
+"use strict";
+
+var Class = require("rtl.js").Class;
+var SourceMap = require("source_map.js");
+
+// pseudo module for access to global JS scope, it is not compiled
+var jsModule = "JS";
+
+var Module = Class.extend({
+    init: function Linker$Module(name, code, imports, mappings){
+        this.name = name;
+        this.code = code;
+        this.imports = imports;
+        this.mappings = mappings;
+    }
+});
+
+function quote(s){
+    return JSON.stringify(s);
+}
+
+/*
+    Links compiled CommonJS modules (see nodejs.ModuleGenerator) into one self-contained script.
+    Modules are placed in topological import order and 'require' is resolved inside the bundle.
+    RTL code (if any) is placed once before all modules, so modules should not require it.
+*/
+var Linker = Class.extend({
+    init: function Linker(){
+        this.__modules = {};
+        this.__names = [];
+    },
+    // 'imports' - names of imported modules, 'mappings' (optional) - SourceMap.ModuleMappings
+    addModule: function(name, code, imports, mappings){
+        if (!this.__modules.hasOwnProperty(name))
+            this.__names.push(name);
+        this.__modules[name] = new Module(name, code, imports, mappings);
+    },
+    /*
+        'options':
+            rtl - code declaring RTL object used by modules,
+            entry - the only module to link with all modules it imports (all added modules by default),
+                    exports of this module are exported by UMD wrapper (the last added module by default),
+            umd - global name for UMD wrapper (no wrapper by default),
+            sourceMap - SourceMap.SourceMap to add mappings of linked modules to,
+            sourcePath - function to make source path for the source map from the module's source.
+    */
+    link: function(options){
+        options = options || {};
+        var entry = options.entry || this.__names[this.__names.length - 1];
+        if (options.entry && !this.__modules.hasOwnProperty(entry))
+            throw new Error("entry module '" + entry + "' is not compiled");
+
+        var result = "";
+        var line = 0;
+        function write(code){
+            result += code;
+            line += SourceMap.countLines(code);
+        }
+
+        if (options.umd)
+            write("(function(root, factory){\n"
+                + "    if (typeof define == \"function\" && define.amd)\n"
+                + "        define([], function(){return factory(root);});\n"
+                + "    else if (typeof module == \"object\" && module.exports)\n"
+                + "        module.exports = factory(root);\n"
+                + "    else\n"
+                + "        root[" + quote(options.umd) + "] = factory(root);\n"
+                + "})(typeof globalThis != \"undefined\" ? globalThis : this, function(global){\n");
+        else
+            write("(function(global){\n");
+
+        write("var imports = {};\n"
+            + "function require(module){return imports[module.replace(/^.*\\//, \"\").replace(/\\.js$/, \"\")];}\n");
+        if (options.rtl)
+            write(options.rtl);
+
+        var ordered = this.__order(options.entry ? [entry] : this.__names);
+        for(var i = 0; i < ordered.length; ++i){
+            var m = ordered[i];
+            write("imports[" + quote(m.name) + "] = {};\n"
+                + "(function module$" + m.name + "(exports){\n");
+            if (options.sourceMap && m.mappings)
+                options.sourceMap.addModule(
+                    m.mappings, line, options.sourcePath ? options.sourcePath(m.mappings.source) : undefined);
+            write(m.code);
+            if (m.code.length && m.code.charAt(m.code.length - 1) != "\n")
+                write("\n");
+            write("})(imports[" + quote(m.name) + "]);\n");
+        }
+
+        if (options.umd)
+            write("return imports[" + quote(entry) + "];\n});\n");
+        else
+            write("})(typeof globalThis != \"undefined\" ? globalThis : this);\n");
+        return result;
+    },
+    __order: function(names){
+        var result = [];
+        var visited = {};
+        var visiting = [];
+        var modules = this.__modules;
+        function visit(name){
+            if (name == jsModule || visited.hasOwnProperty(name))
+                return;
+            if (visiting.indexOf(name) != -1)
+                throw new Error("recursive import: " + visiting.concat(name).join(" -> "));
+            if (!modules.hasOwnProperty(name))
+                throw new Error("module '" + name + "' is not compiled");
+
+            var m = modules[name];
+            visiting.push(name);
+            for(var i = 0; i < m.imports.length; ++i)
+                visit(m.imports[i]);
+            visiting.pop();
+            visited[name] = true;
+            result.push(m);
+        }
+        for(var i = 0; i < names.length; ++i)
+            visit(names[i]);
+        return result;
+    }
+});
+
+exports.Linker = Linker;
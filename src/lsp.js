@@ -0,0 +1,546 @@
+"use strict";
+
+var Class = require("rtl.js").Class;
+var Code = require("js/Code.js");
+var ContextHierarchy = require("js/ContextHierarchy.js");
+var Diagnostics = require("diagnostics.js");
+var EberonRecord = require("js/EberonRecord.js");
+var oc = require("oc.js");
+var makeRTL = require("rtl_code.js").makeRTL;
+var nodejs = require("nodejs.js");
+var Procedure = require("js/Procedure.js");
+var Record = require("js/Record.js");
+var TypeId = require("js/TypeId.js");
+var Types = require("js/Types.js");
+
+var fs = require("fs");
+var path = require("path");
+var url = require("url");
+
+// constants from Language Server Protocol specification
+var textDocumentSyncFull = 1;
+var diagnosticSeverity = {error: 1, warning: 2};
+var symbolKind = {class: 5, function: 12};
+var completionItemKind = {method: 2, function: 3, field: 5, variable: 6, class: 7, module: 9, constant: 21};
+var errorCodes = {parseError: -32700, methodNotFound: -32601, internalError: -32603};
+
+function uriToPath(uri){
+    return url.fileURLToPath(uri);
+}
+
+function pathToUri(filePath){
+    return url.pathToFileURL(filePath).href;
+}
+
+// generated code is not used, so JavaScript module of foreign module is never loaded
+function makeModuleGenerator(name, imports){
+    var result = new Code.ModuleGenerator(name, imports);
+    result.foreignImport = function(){return "";};
+    return result;
+}
+
+// offsets in text <-> line/character positions
+var TextLines = Class.extend({
+    init: function Lsp$TextLines(text){
+        this.__starts = [0];
+        for(var i = 0; i < text.length; ++i)
+            if (text.charAt(i) == "\n")
+                this.__starts.push(i + 1);
+    },
+    position: function(offset){
+        var line = this.__starts.length - 1;
+        while (this.__starts[line] > offset)
+            --line;
+        return {line: line, character: offset - this.__starts[line]};
+    },
+    offset: function(position){
+        var line = Math.min(position.line, this.__starts.length - 1);
+        return this.__starts[line] + position.character;
+    }
+});
+
+/*
+    Identifier in the source text resolved to a symbol: declaration or reference.
+*/
+var Occurrence = Class.extend({
+    init: function Lsp$Occurrence(file, symbol, pos, isDeclaration){
+        this.file = file;
+        this.symbol = symbol;
+        this.pos = pos;
+        this.end = pos + symbol.id().length;
+        this.isDeclaration = isDeclaration;
+    }
+});
+
+/*
+    Receives symbols from ContextHierarchy.Root while one module is being compiled.
+*/
+var Listener = Class.extend({
+    init: function Lsp$Listener(index, root, file, text){
+        this.__index = index;
+        this.__root = root;
+        this.__file = file;
+        this.__text = text;
+        this.moduleSymbol = undefined;
+        this.moduleScope = undefined;
+    },
+    declared: function(s, pos){
+        // the first symbol declared is the module itself
+        if (!this.moduleSymbol){
+            this.moduleSymbol = s;
+            this.moduleScope = this.__root.currentScope();
+        }
+        this.__add(s, pos, true);
+    },
+    used: function(s, pos){
+        this.__add(s, pos, false);
+    },
+    __add: function(s, pos, isDeclaration){
+        // position is not reliable for symbols resolved after reading other identifiers
+        var id = s.id();
+        if (this.__text.substr(pos, id.length) == id)
+            this.__index.add(new Occurrence(this.__file, s, pos, isDeclaration));
+    }
+});
+
+/*
+    All occurrences of symbols found while compiling open documents and modules imported by them.
+*/
+var Index = Class.extend({
+    init: function Lsp$Index(){
+        this.__occurrences = {}; // file -> array of Occurrence
+        this.__listeners = [];
+        this.__exported = [];    // symbols exported by modules ...
+        this.__declared = [];    // ... and the symbols declared in modules for them
+    },
+    makeListener: function(root, file, text){
+        var result = new Listener(this, root, file, text);
+        this.__listeners.push(result);
+        return result;
+    },
+    add: function(o){
+        var list = this.__occurrences[o.file];
+        if (!list)
+            list = this.__occurrences[o.file] = [];
+        // the same identifier can be resolved several times (e.g. while parser looks ahead)
+        for(var i = 0; i < list.length; ++i)
+            if (list[i].pos == o.pos)
+                return;
+        list.push(o);
+    },
+    // exported variables are wrapped into new symbols (see Scope.defineExports)
+    linkExports: function(){
+        for(var i = 0; i < this.__listeners.length; ++i){
+            var l = this.__listeners[i];
+            if (!l.moduleScope)
+                continue;
+            var exports = l.moduleSymbol.info().exports;
+            for(var id in exports){
+                var found = l.moduleScope.findSymbol(id);
+                if (found && found.symbol() != exports[id]){
+                    this.__exported.push(exports[id]);
+                    this.__declared.push(found.symbol());
+                }
+            }
+        }
+    },
+    canonical: function(s){
+        var i = this.__exported.indexOf(s);
+        return i == -1 ? s : this.__declared[i];
+    },
+    occurrences: function(file){
+        return this.__occurrences[file] || [];
+    },
+    at: function(file, offset){
+        var list = this.occurrences(file);
+        for(var i = 0; i < list.length; ++i){
+            var o = list[i];
+            if (o.pos <= offset && offset <= o.end)
+                return o;
+        }
+        return undefined;
+    },
+    declaration: function(s){
+        s = this.canonical(s);
+        var info = s.info();
+        if (info instanceof Types.Module)
+            // import alias -> imported module
+            for(var i = 0; i < this.__listeners.length; ++i){
+                var m = this.__listeners[i].moduleSymbol;
+                if (m && m.info() == info)
+                    s = m;
+            }
+        return this.__find(function(o){return o.isDeclaration && o.symbol == s;})[0];
+    },
+    references: function(s, includeDeclaration){
+        s = this.canonical(s);
+        return this.__find(function(o){
+            return this.canonical(o.symbol) == s && (includeDeclaration || !o.isDeclaration);
+        }.bind(this));
+    },
+    __find: function(pred){
+        var result = [];
+        for(var file in this.__occurrences){
+            var list = this.__occurrences[file];
+            for(var i = 0; i < list.length; ++i)
+                if (pred(list[i]))
+                    result.push(list[i]);
+        }
+        return result.sort(function(a, b){
+            return a.file < b.file ? -1 : a.file > b.file ? 1 : a.pos - b.pos;
+        });
+    }
+});
+
+function procedureSignature(name, type){
+    var args = type.args().map(function(a){return a.description();});
+    var result = type.result();
+    return "PROCEDURE " + name + "(" + args.join(", ") + ")" + (result ? ": " + result.description() : "");
+}
+
+function describeType(t){
+    if (t instanceof Record.Type)
+        return "RECORD" + (t.base ? "(" + t.base.description() + ")" : "");
+    if (t instanceof Record.Pointer)
+        return "POINTER TO " + Record.pointerBase(t).description();
+    if (t instanceof Procedure.Defined)
+        return procedureSignature("", t);
+    return t.description();
+}
+
+function describeSymbol(s){
+    var id = s.id();
+    var info = s.info();
+    if (info instanceof Types.Module)
+        return "MODULE " + info.name;
+    if (info instanceof TypeId.Type)
+        return "TYPE " + id + " = " + describeType(info.type());
+    if (info instanceof Types.Const)
+        return "CONST " + id + ": " + info.type.description();
+    if (info instanceof Procedure.Id)
+        return procedureSignature(id, info.type);
+    if (info instanceof Types.Variable)
+        return "VAR " + id + ": " + info.type().description();
+    return id;
+}
+
+function symbolKindOf(info){
+    if (info instanceof Procedure.Id)
+        return symbolKind.function;
+    if (info instanceof TypeId.Type)
+        return symbolKind.class;
+    return undefined;
+}
+
+function completionKindOf(info){
+    if (info instanceof Types.Module)
+        return completionItemKind.module;
+    if (info instanceof TypeId.Type)
+        return completionItemKind.class;
+    if (info instanceof Types.Const)
+        return completionItemKind.constant;
+    if (info instanceof Procedure.Id)
+        return completionItemKind.function;
+    return completionItemKind.variable;
+}
+
+function recordOf(t){
+    if (t instanceof Record.Pointer)
+        t = Record.pointerBase(t);
+    return t instanceof Record.Type ? t : undefined;
+}
+
+function findMember(r, id){
+    for(; r; r = r.base){
+        if (r.fields.hasOwnProperty(id))
+            return r.fields[id].type();
+        if (r instanceof EberonRecord.Record && r.declaredMethods.hasOwnProperty(id))
+            return r.declaredMethods[id].type();
+    }
+    return undefined;
+}
+
+function recordMembers(r){
+    var result = [];
+    var seen = {};
+    for(; r; r = r.base){
+        for(var id in r.fields)
+            if (!seen[id]){
+                seen[id] = true;
+                result.push({label: id, kind: completionItemKind.field, detail: r.fields[id].type().description()});
+            }
+        if (r instanceof EberonRecord.Record)
+            for(var m in r.declaredMethods)
+                if (!seen[m]){
+                    seen[m] = true;
+                    result.push({label: m, kind: completionItemKind.method,
+                                 detail: procedureSignature(m, r.declaredMethods[m].type().procType())});
+                }
+    }
+    return result;
+}
+
+/*
+    Language server: compiles open documents on every change and answers requests
+    using symbols collected by ContextHierarchy.Root.symbolListener.
+    'send(message)' writes a message to the client.
+*/
+var Server = Class.extend({
+    init: function Lsp$Server(language, send){
+        this.__language = language;
+        this.__send = send;
+        this.__documents = {}; // path -> text
+        this.__includeDirs = [];
+        this.__published = {}; // path -> TRUE if there are diagnostics shown for the file
+        this.__index = new Index();
+        this.__texts = {};     // path -> text the index was built from
+        this.shutdown = false;
+    },
+    // handle message text, returns the message or undefined if the text is not a valid JSON
+    handleText: function(text){
+        var message;
+        try {
+            message = JSON.parse(text);
+        }
+        catch (x) {
+            this.__send({jsonrpc: "2.0", id: null,
+                         error: {code: errorCodes.parseError, message: "Parse error"}});
+            return undefined;
+        }
+        this.handle(message);
+        return message;
+    },
+    handle: function(message){
+        var handler = this.__handlers[message.method];
+        if (!handler){
+            if (message.id !== undefined)
+                this.__send({jsonrpc: "2.0", id: message.id,
+                             error: {code: errorCodes.methodNotFound, message: "unsupported method: " + message.method}});
+            return;
+        }
+        var result;
+        try {
+            result = handler.call(this, message.params || {});
+        }
+        catch (x) {
+            if (message.id === undefined)
+                throw x;
+            this.__send({jsonrpc: "2.0", id: message.id,
+                         error: {code: errorCodes.internalError, message: x.toString()}});
+            return;
+        }
+        if (message.id !== undefined)
+            this.__send({jsonrpc: "2.0", id: message.id, result: result === undefined ? null : result});
+    },
+    __handlers: {
+        "initialize": function(params){
+            var options = params.initializationOptions;
+            if (options && options.includeDirs)
+                this.__includeDirs = options.includeDirs;
+            return {capabilities: {
+                textDocumentSync: textDocumentSyncFull,
+                definitionProvider: true,
+                referencesProvider: true,
+                hoverProvider: true,
+                completionProvider: {triggerCharacters: ["."]},
+                documentSymbolProvider: true
+            }};
+        },
+        "initialized": function(){},
+        "shutdown": function(){
+            this.shutdown = true;
+        },
+        "textDocument/didOpen": function(params){
+            this.__documents[uriToPath(params.textDocument.uri)] = params.textDocument.text;
+            this.__analyze();
+        },
+        "textDocument/didChange": function(params){
+            var changes = params.contentChanges;
+            this.__documents[uriToPath(params.textDocument.uri)] = changes[changes.length - 1].text;
+            this.__analyze();
+        },
+        "textDocument/didClose": function(params){
+            delete this.__documents[uriToPath(params.textDocument.uri)];
+            this.__analyze();
+        },
+        "textDocument/definition": function(params){
+            var o = this.__occurrenceAt(params);
+            var d = o && this.__index.declaration(o.symbol);
+            return d ? this.__location(d) : null;
+        },
+        "textDocument/references": function(params){
+            var o = this.__occurrenceAt(params);
+            if (!o)
+                return [];
+            var includeDeclaration = params.context && params.context.includeDeclaration;
+            return this.__index.references(o.symbol, includeDeclaration).map(this.__location, this);
+        },
+        "textDocument/hover": function(params){
+            var o = this.__occurrenceAt(params);
+            if (!o)
+                return null;
+            return {contents: {kind: "plaintext", value: describeSymbol(this.__index.canonical(o.symbol))},
+                    range: this.__location(o).range};
+        },
+        "textDocument/completion": function(params){
+            return this.__complete(uriToPath(params.textDocument.uri), params.position);
+        },
+        "textDocument/documentSymbol": function(params){
+            var file = uriToPath(params.textDocument.uri);
+            var result = [];
+            var list = this.__index.occurrences(file);
+            for(var i = 0; i < list.length; ++i){
+                var o = list[i];
+                var kind = o.isDeclaration && symbolKindOf(o.symbol.info());
+                if (kind)
+                    result.push({name: o.symbol.id(), kind: kind, location: this.__location(o)});
+            }
+            return result;
+        }
+    },
+    __occurrenceAt: function(params){
+        var file = uriToPath(params.textDocument.uri);
+        var text = this.__texts[file];
+        if (text === undefined)
+            return undefined;
+        return this.__index.at(file, new TextLines(text).offset(params.position));
+    },
+    __location: function(o){
+        var lines = new TextLines(this.__texts[o.file]);
+        return {uri: pathToUri(o.file),
+                range: {start: lines.position(o.pos), end: lines.position(o.end)}};
+    },
+    /*
+        Members of module or record designated by the text before '.' at the position,
+        e.g.: "module.", "record.field.", "pointer.field."
+    */
+    __complete: function(file, position){
+        var text = this.__documents[file];
+        if (text === undefined)
+            return [];
+        var offset = new TextLines(text).offset(position);
+        var match = text.substr(0, offset).match(/([A-Za-z]\w*(?:\s*\.\s*[A-Za-z]\w*)*)\s*\.\s*\w*$/);
+        if (!match)
+            return [];
+
+        var ids = match[1].split(/\s*\.\s*/);
+        var o = this.__index.at(file, offset - match[0].length);
+        if (!o || o.symbol.id() != ids[0])
+            return [];
+
+        var info = this.__index.canonical(o.symbol).info();
+        if (info instanceof Types.Module){
+            if (ids.length != 1)
+                return [];
+            var result = [];
+            for(var id in info.exports){
+                var s = info.exports[id];
+                result.push({label: id, kind: completionKindOf(s.info()), detail: describeSymbol(s)});
+            }
+            return result;
+        }
+
+        var type = info instanceof Types.Variable ? info.type() : undefined;
+        for(var i = 1; i < ids.length && type; ++i){
+            var r = recordOf(type);
+            type = r && findMember(r, ids[i]);
+        }
+        var record = type && recordOf(type);
+        return record ? recordMembers(record) : [];
+    },
+    __analyze: function(){
+        var index = new Index();
+        var texts = {};
+        var diagnostics = {};
+        var read = [];
+        var language = this.__language;
+        var rtl = new makeRTL(language.rtl);
+        var documents = this.__documents;
+        var includeDirs = this.__includeDirs;
+
+        var readModule = function(name){
+            var fileName = name + ".ob";
+            var dirs = Object.keys(documents).map(function(p){return path.dirname(p);}).concat(includeDirs, nodejs.stdlibDir);
+            for(var i = 0; i < dirs.length; ++i){
+                var filePath = path.join(dirs[i], fileName);
+                if (documents.hasOwnProperty(filePath))
+                    return makeModule(filePath, documents[filePath]);
+                if (fs.existsSync(filePath))
+                    return makeModule(filePath, fs.readFileSync(filePath, "utf8"));
+            }
+            throw new Error("cannot find file: '" + fileName + "'");
+        };
+        function makeModule(filePath, text){
+            read.push(filePath);
+            texts[filePath] = text;
+            return new oc.ReadModule(text, "File \"" + filePath + "\"", filePath);
+        }
+
+        var resolver = oc.makeResolver(
+            language.grammar,
+            function(moduleResolver, source){
+                var root = new ContextHierarchy.Root(
+                    { codeTraits: language.makeCodeTraits(language.codeGenerator.make(), rtl),
+                      moduleGenerator: makeModuleGenerator,
+                      rtl: rtl,
+                      types: language.types,
+                      stdSymbols: language.stdSymbols,
+                      moduleResolver: moduleResolver
+                    });
+                if (source && source.path)
+                    root.symbolListener = index.makeListener(root, source.path, source.content);
+                return root;
+            },
+            function(){},
+            function(e){
+                if (!e.file)
+                    return;
+                var list = diagnostics[e.file];
+                if (!list)
+                    list = diagnostics[e.file] = [];
+                list.push(e);
+            },
+            readModule,
+            {});
+
+        for(var filePath in documents)
+            // could be compiled already as imported module
+            if (read.indexOf(filePath) == -1)
+                resolver.compile(makeModule(filePath, documents[filePath]));
+
+        index.linkExports();
+        this.__index = index;
+        this.__texts = texts;
+        this.__publishDiagnostics(diagnostics);
+    },
+    __publishDiagnostics: function(diagnostics){
+        var published = {};
+        var file;
+        for(file in this.__published)
+            if (!diagnostics.hasOwnProperty(file))
+                this.__notify("textDocument/publishDiagnostics", {uri: pathToUri(file), diagnostics: []});
+        for(file in diagnostics){
+            published[file] = true;
+            this.__notify("textDocument/publishDiagnostics",
+                          {uri: pathToUri(file), diagnostics: diagnostics[file].map(toLspDiagnostic)});
+        }
+        this.__published = published;
+    },
+    __notify: function(method, params){
+        this.__send({jsonrpc: "2.0", method: method, params: params});
+    }
+});
+
+function toLspDiagnostic(d){
+    // Diagnostics lines and columns start from 1
+    var start = {line: (d.line || 1) - 1, character: (d.column || 1) - 1};
+    var end = d.endLine ? {line: d.endLine - 1, character: d.endColumn - 1} : start;
+    return {range: {start: start, end: end},
+            severity: d.severity == Diagnostics.severity.warning ? diagnosticSeverity.warning
+                                                                 : diagnosticSeverity.error,
+            code: d.code,
+            source: "oberonjs",
+            message: d.message};
+}
+
+exports.Server = Server;
@@ -0,0 +1,41 @@
+"use strict";
+
+// Language server for Oberon/Eberon sources, talks to the editor via stdin/stdout (see lsp.js)
+
+var language = require("eberon/eberon_grammar.js").language;
+var oberon = require("oberon/oberon_grammar.js").language;
+var Lsp = require("lsp.js");
+
+function send(message){
+    var content = JSON.stringify(message);
+    process.stdout.write("Content-Length: " + Buffer.byteLength(content, "utf8") + "\r\n\r\n" + content);
+}
+
+function main(){
+    if (process.argv.indexOf("--oberon") != -1)
+        language = oberon;
+
+    var server = new Lsp.Server(language, send);
+    var buffer = Buffer.alloc(0);
+    process.stdin.on("data", function(data){
+        buffer = Buffer.concat([buffer, data]);
+        for(;;){
+            var headerEnd = buffer.indexOf("\r\n\r\n");
+            if (headerEnd == -1)
+                return;
+            var match = buffer.toString("ascii", 0, headerEnd).match(/Content-Length:\s*(\d+)/i);
+            var length = match ? parseInt(match[1], 10) : 0;
+            var start = headerEnd + 4;
+            if (buffer.length < start + length)
+                return;
+            var content = buffer.toString("utf8", start, start + length);
+            buffer = buffer.slice(start + length);
+
+            var message = server.handleText(content);
+            if (message && message.method == "exit")
+                process.exit(server.shutdown ? 0 : 1);
+        }
+    });
+}
+
+main();
@@ -5,9 +5,14 @@ var Code = require("js/Code.js");
 var CodeGenerator = require("js/CodeGenerator.js");
 var Errors = require("js/Errors.js");
 var ContextHierarchy = require("js/ContextHierarchy.js");
+var Diagnostics = require("diagnostics.js");
 var LanguageContext = require("js/LanguageContext.js");
+var Linker = require("linker.js");
 var oc = require("oc.js");
 var makeRTL = require("rtl_code.js").makeRTL;
+var SourceMap = require("source_map.js");
+var SymbolFile = require("symbol_file.js");
+var TsDeclarations = require("ts_declarations.js");
 
 var fs = require("fs");
 var path = require("path");
@@ -31,6 +36,9 @@ var ModuleGenerator = Class.extend({
         }
         return result;
     },
+    foreignImport: function(id, path){
+        return "var " + id + " = require(\"" + path + "\");\n";
+    },
     epilog: function(exports){
         var result = "";
         for(var access in exports){
@@ -45,6 +53,61 @@ var ModuleGenerator = Class.extend({
     }
 });
 
+function esImportPath(name, importDir){
+    return (importDir ? importDir + "/" : "./") + name + ".js";
+}
+
+/*
+    Generates ES module: 'import' for imported modules and one 'export' list for exported symbols.
+    Exported variables are still exported as getters (see Code.genExport).
+*/
+var EsModuleGenerator = ModuleGenerator.extend({
+    init: function Nodejs$EsModuleGenerator(name, imports, importDir){
+        ModuleGenerator.prototype.init.call(this, name, imports, importDir);
+    },
+    prolog: function(){
+        var result = "";
+        var modules = this.__imports;
+        for(var name in modules){
+            var alias = CodeGenerator.mangleId(modules[name]);
+            result += name == "JS"
+                ? "var " + alias + " = globalThis;\n"
+                : "import * as " + alias + " from \"" + esImportPath(name, this.__importDir) + "\";\n";
+        }
+        return result;
+    },
+    foreignImport: function(id, path){
+        return "import * as " + id + " from \"" + path + "\";\n";
+    },
+    epilog: function(exports){
+        var result = "";
+        var list = [];
+        var exported = {};
+        for(var access in exports){
+            var e = exports[access];
+            var code = Code.genExport(e);
+            if (!code)
+                continue;
+
+            var id = Code.exportId(e);
+            // the same record could be exported via several pointers
+            if (exported.hasOwnProperty(id))
+                continue;
+            exported[id] = true;
+
+            var local = code;
+            if (!/^[\w$]+$/.test(code)){
+                local = "$" + id;
+                result += "var " + local + " = " + code + ";\n";
+            }
+            list.push(local == id ? id : local + " as " + id);
+        }
+        if (list.length)
+            result += "export {" + list.join(", ") + "};\n";
+        return result;
+    }
+});
+
 var RtlCodeUsingWatcher = Class.extend({
     init: function(){this.__used = false;},
     using: function(){this.__used = true;},
@@ -52,54 +115,278 @@ var RtlCodeUsingWatcher = Class.extend({
     reset: function(){this.__used = false;}
 });
 
-function writeCompiledModule(name, code, outDir){
+function makeSourceMap(name, mappings, line, outDir){
+    var result = new SourceMap.SourceMap(name + ".js");
+    var sourcePath = path.relative(outDir, mappings.source).replace(/\\/g, "/");
+    result.addModule(mappings, line, sourcePath);
+    return result;
+}
+
+function writeCompiledModule(name, code, outDir, sourceMap){
     var filePath = path.join(outDir, name + ".js");
-    fs.writeFileSync(filePath, code);
+    if (sourceMap){
+        var mapName = name + ".js.map";
+        fs.writeFileSync(path.join(outDir, mapName), sourceMap.generate());
+        code += "//# sourceMappingURL=" + mapName + "\n";
     }
+    fs.writeFileSync(filePath, code);
+}
+
+function writeEsRtlModule(rtlDescription, name, outDir){
+    var rtl = makeRTL(rtlDescription);
+    var code = rtl.generateAll() + "export default " + rtl.name() + ";\n";
+    fs.writeFileSync(path.join(outDir, name + ".js"), code);
+}
+
+// standard library modules (Out, In, Strings, Math, MathL), searched after all include directories
+var stdlibDir = path.join(__dirname, "stdlib");
 
-function compile(sources, language, handleErrors, includeDirs, outDir, importDir){
+function makeModuleReader(includeDirs, watcher){
+    var searchDirs = includeDirs.concat(stdlibDir);
+    return function(name){
+        var fileName = name;
+        if (!path.extname(fileName).length)
+            fileName += ".ob";
+        
+        var readPath = fileName;
+        var i = 0;
+        while (!fs.existsSync(readPath) && i < searchDirs.length){
+            readPath = path.join(searchDirs[i], fileName);
+            ++i;
+        }
+        if (!fs.existsSync(readPath))
+            throw new Error("cannot find file: '" + fileName + "' in " + includeDirs);
+        if (watcher)
+            watcher.fileRead(readPath);
+        return new oc.ReadModule(
+            fs.readFileSync(readPath, "utf8"),
+            "File \"" + readPath + "\"",
+            readPath);
+    };
+}
+
+function makeContextFactory(language, rtl, moduleCode, options){
+    return function(moduleResolver){
+        return new ContextHierarchy.Root(
+        { codeTraits: language.makeCodeTraits(language.codeGenerator.make(), rtl, options),
+          moduleGenerator: moduleCode,
+          rtl: rtl,
+          types: language.types,
+          stdSymbols: language.stdSymbols,
+          moduleResolver: moduleResolver
+        });};
+}
+
+/*
+    'watcher' (optional) is notified about every file read and every module compiled.
+*/
+function compileModules(sources, language, handleErrors, includeDirs, outDir, importDir, options, watcher){
     var rtlCodeWatcher = new RtlCodeUsingWatcher();
     var rtl = new makeRTL(language.rtl, rtlCodeWatcher.using.bind(rtlCodeWatcher));
+    var esModules = options && options.esModules;
     var moduleCode = function(name, imports){
-        return new ModuleGenerator(name, imports, importDir);};
+        return esModules ? new EsModuleGenerator(name, imports, importDir)
+                         : new ModuleGenerator(name, imports, importDir);};
+    var symbolCache = options && options.incremental
+        ? new SymbolFile.Cache(outDir, language, {sourceMaps: !!options.sourceMaps, 
+                                                  importDir: importDir || "", 
+                                                  esModules: !!esModules,
+                                                  declarations: !!options.declarations,
+                                                  checkIndexes: !!options.checkIndexes,
+                                                  checkOverflow: !!options.checkOverflow,
+                                                  checkNil: !!options.checkNil,
+                                                  debug: !!options.debug,
+                                                  stripAssertions: !!options.stripAssertions})
+        : undefined;
+    var rtlModuleWritten = false;
+    var entry = options && options.entry;
 
     return oc.compileModules(
             sources,
-            function(name){
-                var fileName = name;
-                if (!path.extname(fileName).length)
-                    fileName += ".ob";
-                
-                var readPath = fileName;
-                var i = 0;
-                while (!fs.existsSync(readPath) && i < includeDirs.length){
-                    readPath = path.join(includeDirs[i], fileName);
-                    ++i;
-                }
-                if (!fs.existsSync(readPath))
-                    throw new Error("cannot find file: '" + fileName + "' in " + includeDirs);
-                return new oc.ReadModule(
-                    fs.readFileSync(readPath, "utf8"),
-                    "File \"" + readPath + "\"");
-            },
+            makeModuleReader(includeDirs, watcher),
             language.grammar,
-            function(moduleResolver){
-                return new ContextHierarchy.Root(
-                { codeTraits: language.makeCodeTraits(language.codeGenerator.make(), rtl),
-                  moduleGenerator: moduleCode,
-                  rtl: rtl,
-                  types: language.types,
-                  stdSymbols: language.stdSymbols,
-                  moduleResolver: moduleResolver
-                });},
+            makeContextFactory(language, rtl, moduleCode, options),
             handleErrors,
-            function(name, code){
+            function(name, code, mappings, symbol){
+                var line = 0;
+                // imported modules using HALT may be not recompiled in incremental mode
+                if (name == entry && (rtl.isUsed("halt") || symbolCache)){
+                    code = rtl.exitOnHalt() + ";\n" + code;
+                    ++line;
+                }
                 if (rtlCodeWatcher.used()){
-                    code = "var " + rtl.name() + " = require(\"" + rtl.module() + "\");\n" + code;
+                    if (esModules){
+                        var rtlModule = path.basename(rtl.module(), ".js");
+                        if (!rtlModuleWritten){
+                            writeEsRtlModule(language.rtl, rtlModule, outDir);
+                            rtlModuleWritten = true;
+                        }
+                        code = "import " + rtl.name() + " from \"" + esImportPath(rtlModule, importDir) + "\";\n" + code;
+                    }
+                    else
+                        code = "var " + rtl.name() + " = require(\"" + rtl.module() + "\");\n" + code;
                     rtlCodeWatcher.reset();
+                    ++line;
                 }
-                writeCompiledModule(name, code, outDir);
-            });
+                var sourceMap = options && options.sourceMaps
+                    ? makeSourceMap(name, mappings, line, outDir)
+                    : undefined;
+                writeCompiledModule(name, code, outDir, sourceMap);
+                if (options && options.declarations)
+                    fs.writeFileSync(path.join(outDir, name + ".d.ts"), 
+                                     TsDeclarations.generate(symbol, function(module){
+                                         return esImportPath(module, importDir);
+                                     }));
+                if (watcher)
+                    watcher.moduleCompiled(name);
+            },
+            options,
+            symbolCache);
+}
+
+/*
+    'options' (optional) - per-build options: 
+        sourceMaps, warnings (see oc.compileModules), incremental, esModules, declarations,
+        checkIndexes, checkOverflow, checkNil, debug, stripAssertions (see LanguageContext.CodeTraits),
+        entry (name of the program module: uncaught HALT(code) exits the process with the code).
+    Returns true if there were no errors.
+*/
+function compile(sources, language, handleErrors, includeDirs, outDir, importDir, options){
+    var failed = false;
+    compileModules(sources, 
+                   language, 
+                   function(e){
+                       if (e.severity == Diagnostics.severity.error)
+                           failed = true;
+                       handleErrors(e);
+                   }, 
+                   includeDirs, outDir, importDir, options);
+    return !failed;
+}
+
+// milliseconds
+var watchInterval = 300;
+var recompileDelay = 100;
+
+var Watcher = Class.extend({
+    init: function Nodejs$Watcher(handleRecompiled){
+        this.__handleRecompiled = handleRecompiled;
+        this.__resolver = undefined;
+        this.__files = [];
+        this.__changed = [];
+        this.__compiled = [];
+        this.__timer = undefined;
+    },
+    setResolver: function(resolver){
+        this.__resolver = resolver;
+    },
+    fileRead: function(filePath){
+        if (this.__files.indexOf(filePath) != -1)
+            return;
+        this.__files.push(filePath);
+        fs.watchFile(filePath, {interval: watchInterval}, function(current, previous){
+            if (current.mtime.getTime() != previous.mtime.getTime())
+                this.__fileChanged(filePath);
+        }.bind(this));
+    },
+    moduleCompiled: function(name){
+        this.__compiled.push(name);
+    },
+    // compile again modules from the changed files and all modules importing them
+    recompile: function(paths){
+        this.__compiled = [];
+        this.__resolver.recompile(paths);
+        if (this.__handleRecompiled)
+            this.__handleRecompiled(this.__compiled);
+    },
+    close: function(){
+        if (this.__timer !== undefined){
+            clearTimeout(this.__timer);
+            this.__timer = undefined;
+        }
+        for(var i = 0; i < this.__files.length; ++i)
+            fs.unwatchFile(this.__files[i]);
+        this.__files = [];
+    },
+    __fileChanged: function(filePath){
+        if (this.__changed.indexOf(filePath) == -1)
+            this.__changed.push(filePath);
+        // editors could write several files at once - recompile all of them together
+        if (this.__timer === undefined)
+            this.__timer = setTimeout(function(){
+                this.__timer = undefined;
+                var changed = this.__changed;
+                this.__changed = [];
+                this.recompile(changed);
+            }.bind(this), recompileDelay);
+    }
+});
+
+/*
+    Compile 'sources' as compile() does and keep watching all files read while compiling.
+    'handleRecompiled' is called with names of compiled modules after every recompilation
+    caused by changed files. Returned watcher should be closed to let the process exit.
+*/
+function watch(sources, language, handleErrors, includeDirs, outDir, importDir, options, handleRecompiled){
+    var watcher = new Watcher(handleRecompiled);
+    watcher.setResolver(compileModules(sources, language, handleErrors, includeDirs, outDir, importDir, options, watcher));
+    return watcher;
+}
+
+/*
+    Compile 'sources' with all imported modules into one script 'bundlePath' (see Linker).
+    Besides compile() options: 'entry' - module to link (with its imports) and export,
+    'umd' - global name to export the entry module by UMD wrapper.
+    Returns true if the bundle is written (there were no errors).
+*/
+function bundle(sources, language, handleErrors, includeDirs, bundlePath, options){
+    options = options || {};
+    // the same RTL object for all modules: RTL code is generated once for the whole bundle
+    var rtl = new makeRTL(language.rtl);
+    var imports = {};
+    var moduleCode = function(name, moduleImports){
+        imports[name] = Object.keys(moduleImports);
+        return new ModuleGenerator(name, moduleImports);};
+
+    var linker = new Linker.Linker();
+    var failed = false;
+    oc.compileModules(
+            sources,
+            makeModuleReader(includeDirs),
+            language.grammar,
+            makeContextFactory(language, rtl, moduleCode, options),
+            function(e){
+                if (e.severity == Diagnostics.severity.error)
+                    failed = true;
+                handleErrors(e);
+            },
+            function(name, code, mappings){
+                linker.addModule(name, code, imports[name], mappings);
+            },
+            options);
+    if (failed)
+        return;
+
+    // bundle without UMD wrapper is a program
+    var exitOnHalt = !options.umd && rtl.isUsed("halt") ? rtl.exitOnHalt() + ";\n" : "";
+    var bundleName = path.basename(bundlePath);
+    var sourceMap = options.sourceMaps ? new SourceMap.SourceMap(bundleName) : undefined;
+    var code = linker.link({rtl: exitOnHalt ? rtl.generate() + exitOnHalt : rtl.generate(), 
+                            entry: options.entry, 
+                            umd: options.umd, 
+                            sourceMap: sourceMap,
+                            sourcePath: function(source){
+                                return path.relative(path.dirname(bundlePath), source).replace(/\\/g, "/");
+                            }});
+    if (sourceMap){
+        fs.writeFileSync(bundlePath + ".map", sourceMap.generate());
+        code += "//# sourceMappingURL=" + bundleName + ".map\n";
+    }
+    fs.writeFileSync(bundlePath, code);
+    return true;
 }
 
+exports.bundle = bundle;
 exports.compile = compile;
+exports.stdlibDir = stdlibDir;
+exports.watch = watch;
@@ -105,6 +105,18 @@ function makeFormalResult(base){
 
 function makeReturn(base){return base;}
 
+function makeTypeName(qualident){
+    return qualident;
+}
+
+function makeTypeDeclaration(identdef, ident, strucType){
+    return and(identdef, "=", strucType);
+}
+
+function makeRecordBase(base){
+    return optional(base);
+}
+
 exports.language = {
     grammar: Grammar.make(
         makeIdentdef,
@@ -122,6 +134,9 @@ exports.language = {
         makeFormalResult,
         makeReturn,
         Grammar.makeSet,
+        makeTypeName,
+        makeTypeDeclaration,
+        makeRecordBase,
         {
             constDeclaration:   ContextConst.Type, 
             typeDeclaration:    ContextType.Declaration,
@@ -133,6 +148,7 @@ exports.language = {
             For:                ContextLoop.For,
             While:              ContextLoop.While,
             If:                 ContextIf.Type,
+            Case:               ContextCase.Type,
             CaseLabel:          ContextCase.Label,
             Repeat:             ContextLoop.Repeat,
             ModuleDeclaration:  ContextModule.Declaration
@@ -154,7 +170,7 @@ exports.language = {
         nil: CodeGenerator.nullGenerator()
     },
     makeCodeTraits: function(codeGenerator, rtl, options){
-        return new LanguageContext.CodeTraits(codeGenerator, rtl, options && options.checkIndexes); 
+        return new LanguageContext.CodeTraits(codeGenerator, rtl, options && options.checkIndexes, options && options.checkOverflow, options && options.checkNil, options && options.debug, options && options.stripAssertions); 
     },
     rtl: {
         base: ObRtl.Type,
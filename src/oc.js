@@ -2,47 +2,99 @@
 
 var Class = require("rtl.js").Class;
 var Code = require("js/Code.js");
+var CodeGenerator = require("js/CodeGenerator.js");
 var ContextHierarchy = require("js/ContextHierarchy.js");
+var Diagnostics = require("diagnostics.js");
 var Errors = require("js/Errors.js");
 var LanguageContext = require("js/LanguageContext.js");
 var Lexer = require("js/Lexer.js");
 var makeRTL = require("rtl_code.js").makeRTL;
 var Scope = require("js/Scope.js");
+var SourceMap = require("source_map.js");
 var Stream = require("js/Stream.js");
 
 var CompiledModule = Class.extend({
-    init: function CompiledModule(symbol, code, exports){
+    init: function CompiledModule(symbol, code, exports, mappings){
         this.__symbol = symbol;
         this.__code = code;
         this.__exports = exports;
+        this.__mappings = mappings;
     },
     symbol: function(){return this.__symbol;},
     code: function(){return this.__code;},
-    exports: function(){return this.__exports;}
+    exports: function(){return this.__exports;},
+    mappings: function(){return this.__mappings;}
 });
 
-function compileModule(grammar, stream, context, handleErrors){
+function setRange(d, stream, pos, endPos){
+    d.setRange(Stream.lineNumberAt(stream, pos), 
+               Stream.columnNumberAt(stream, pos), 
+               Stream.lineNumberAt(stream, endPos), 
+               Stream.columnNumberAt(stream, endPos));
+}
+
+function reportErrors(errors, stream, handleErrors){
+    for(var i = 0; i < errors.length; ++i){
+        var e = errors[i];
+        var d = Diagnostics.makeError(e.msg, e.code);
+        setRange(d, stream, e.pos, e.endPos);
+        handleErrors(d);
+    }
+}
+
+// 'enabled' maps warning code to false if the warning is turned off
+function reportWarnings(warnings, stream, handleErrors, enabled){
+    var sorted = warnings.slice().sort(function(a, b){return a.pos - b.pos;});
+    for(var i = 0; i < sorted.length; ++i){
+        var w = sorted[i];
+        var d = Diagnostics.makeWarning(w.msg, w.code);
+        if (enabled[d.code] === false)
+            continue;
+        setRange(d, stream, w.pos, w.endPos);
+        handleErrors(d);
+    }
+}
+
+function compileModule(grammar, stream, context, handleErrors, warnings){
+    var root = context.root();
+    root.recoverErrors = !!handleErrors;
+    root.source = stream;
     Lexer.skipSpaces(stream, context);  
     try {
-        if (!grammar.module(stream, context))
-            throw new Errors.Error("syntax error");
+        if (!grammar.module(stream, context)){
+            var e = new Errors.Error("syntax error");
+            e.code = Diagnostics.syntaxCode;
+            throw e;
+        }
     }
     catch (x) {
-        if (x instanceof Errors.Error) {
-            if (handleErrors){
-                handleErrors("line " + Stream.lineNumber(stream) + ": " + x);
-                return undefined;
-            }
+        if (x instanceof Errors.Error && handleErrors){
+            var pos = x.pos === undefined ? Stream.pos(stream) : x.pos;
+            root.addError(x.toString(), Diagnostics.errorCode(x), pos, x.endPos === undefined ? pos : x.endPos);
         }
-        if (x.message)
-            x.message = "internal compiler error while parsing line " + Stream.lineNumber(stream) + ": " + Stream.currentLine(stream) + "\n" + x.message;
-        throw x;
+        // internal error after recovering from previous errors is not reported
+        else if (!root.errors.length){
+            if (x.message)
+                x.message = "internal compiler error while parsing line " + Stream.lineNumber(stream) + ": " + Stream.currentLine(stream) + "\n" + x.message;
+            throw x;
+        }
+    }
+    if (root.errors.length){
+        reportErrors(root.errors, stream, handleErrors);
+        return undefined;
     }
+    // unused symbols are not reliable if there were errors, so report warnings only for correct module
+    if (warnings && handleErrors)
+        reportWarnings(root.warnings, stream, handleErrors, warnings);
     var scope = context.root().currentScope();
+    var code = context.codeGenerator();
+    var mappings = new CodeGenerator.SourceMappings();
+    code.sourceMappings(mappings);
     return new CompiledModule(
             Scope.moduleSymbol(scope),
-            context.codeGenerator().result(),
-            scope.exports);
+            code.result(),
+            scope.exports,
+            mappings.items);
 }
 
 function compileModulesFromText(
@@ -51,11 +103,13 @@ function compileModulesFromText(
         contextFactory,
         resolveModule,
         handleCompiledModule,
-        handleErrors){
+        handleErrors,
+        warnings,
+        source){
     var stream = new Stream.Type(text);
     do {
-        var context = contextFactory(resolveModule);
-        var module = compileModule(grammar, stream, context, handleErrors);
+        var context = contextFactory(resolveModule, source);
+        var module = compileModule(grammar, stream, context, handleErrors, warnings);
         if (!module)
             return;
         handleCompiledModule(module);
@@ -65,36 +119,112 @@ function compileModulesFromText(
 }
 
 var ReadModule = Class.extend({
-    init: function Oc$Module(content, location){
+    init: function Oc$Module(content, location, path){
         this.content = content
         this.location = location
+        this.path = path === undefined ? location : path;
     }
 });
 
 var ModuleResolver = Class.extend({
-    init: function Oc$ModuleResolver(compile, handleCompiledModule, moduleReader, handleErrors){
+    init: function Oc$ModuleResolver(compile, handleCompiledModule, moduleReader, handleErrors, symbolCache){
         this.__modules = {};
         this.__compile = compile;
         this.__moduleReader = moduleReader;
         this.__handleCompiledModule = handleCompiledModule;
         this.__handleErrors = handleErrors;
+        this.__symbolCache = symbolCache;
         this.__detectRecursion = [];
+        this.__sources = {}; // module name -> path of the file the module was read from
+        this.__imports = {}; // module name -> names of imported modules
+        this.__failed = [];  // paths of files failed to compile
+        this.__read = [];    // paths of files compiled by current recompile()
     },
     compile: function(module){
-        var handleErrors = module.location 
-            ? function(e){
-                this.__handleErrors(module.location + ", " + e)
-              }.bind(this)
-            : this.__handleErrors;
+        this.__read.push(module.path);
+
+        // modules resolved since the previous module in the text was compiled
+        var imports = [];
+        var resolveModule = function(name){
+            imports.push(name);
+            return this.__resolveModule(name);
+        }.bind(this);
+
+        if (this.__symbolCache){
+            var symbol = this.__symbolCache.load(module, resolveModule);
+            if (symbol){
+                this.__addModule(module, symbol, imports);
+                return;
+            }
+            imports = [];
+        }
+
+        var failed = false;
+        var handleErrors = function(e){
+            if (e.severity == Diagnostics.severity.error)
+                failed = true;
+            if (module.location)
+                e.setFile(module.path, module.location);
+            this.__handleErrors(e);
+        }.bind(this);
         this.__compile(module.content,
-                       this.__resolveModule.bind(this),
-                       this.__handleModule.bind(this),
-                       handleErrors);
+                       resolveModule,
+                       function(compiled){
+                           this.__handleModule(module, compiled, imports);
+                           imports = [];
+                       }.bind(this),
+                       handleErrors,
+                       module);
+        if (failed && module.path)
+            this.__failed.push(module.path);
+    },
+    /*
+        Compile again modules from the changed files, all modules importing them
+        and modules failed to compile last time.
+    */
+    recompile: function(paths){
+        var names = [];
+        for(var name in this.__sources)
+            if (paths.indexOf(this.__sources[name]) != -1)
+                names.push(name);
+        for(var i = 0; i < names.length; ++i)
+            for(var importer in this.__imports)
+                if (this.__imports[importer].indexOf(names[i]) != -1 && names.indexOf(importer) == -1)
+                    names.push(importer);
+
+        // importers go first: changed modules are compiled while resolving their imports
+        var toCompile = [];
+        for(i = names.length; i--;){
+            toCompile.push(this.__sources[names[i]]);
+            delete this.__modules[names[i]];
+            delete this.__sources[names[i]];
+            delete this.__imports[names[i]];
+        }
+        toCompile = toCompile.concat(this.__failed, paths);
+        this.__failed = [];
+        // do not remember modules failed to compile
+        for(name in this.__modules)
+            if (!this.__modules[name])
+                delete this.__modules[name];
+
+        this.__read = [];
+        for(i = 0; i < toCompile.length; ++i){
+            var path = toCompile[i];
+            // could be compiled already as imported module
+            if (this.__read.indexOf(path) != -1)
+                continue;
+            try {
+                this.compile(this.__moduleReader(path));
+            }
+            catch (x) {
+                this.__handleErrors(Diagnostics.makeError(x + ""));
+            }
+        }
     },
     __resolveModule: function(name){
         if (this.__moduleReader && !(name in this.__modules)){
             if (this.__detectRecursion.indexOf(name) != -1){
-                this.__handleErrors("recursive import: " + this.__detectRecursion.join(" -> "));
+                this.__handleErrors(Diagnostics.makeError("recursive import: " + this.__detectRecursion.join(" -> ")));
                 return undefined;
             }
             this.__detectRecursion.push(name);
@@ -102,7 +232,7 @@ var ModuleResolver = Class.extend({
                 this.compile(this.__moduleReader(name));
             }
             catch (x) {
-                this.__handleErrors(x + "");
+                this.__handleErrors(Diagnostics.makeError(x + ""));
             }
             finally {
                 this.__detectRecursion.pop();
@@ -113,39 +243,60 @@ var ModuleResolver = Class.extend({
         }
         return this.__modules[name];
     },
-    __handleModule: function(module){
-        var symbol = module.symbol();
+    __addModule: function(source, symbol, imports){
         var moduleName = symbol.id();
         this.__modules[moduleName] = symbol.info();
-        this.__handleCompiledModule(moduleName, module.code());
+        this.__sources[moduleName] = source.path;
+        this.__imports[moduleName] = imports;
+    },
+    __handleModule: function(source, module, imports){
+        var symbol = module.symbol();
+        var moduleName = symbol.id();
+        this.__addModule(source, symbol, imports);
+        this.__handleCompiledModule(
+            moduleName, 
+            module.code(), 
+            new SourceMap.ModuleMappings(source.path || (moduleName + ".ob"),
+                                         source.content,
+                                         module.code(),
+                                         module.mappings()),
+            symbol);
+        if (this.__symbolCache)
+            this.__symbolCache.store(symbol, source, imports);
     }
 });
 
-function makeResolver(grammar, contextFactory, handleCompiledModule, handleErrors, moduleReader){
+function makeResolver(grammar, contextFactory, handleCompiledModule, handleErrors, moduleReader, warnings, symbolCache){
     return new ModuleResolver(
-        function(text, resolveModule, handleModule, handleErrors){
+        function(text, resolveModule, handleModule, handleErrors, source){
             compileModulesFromText(
                 text,
                 grammar,
                 contextFactory,
                 resolveModule,
                 handleModule,
-                handleErrors);
+                handleErrors,
+                warnings,
+                source);
         },
         handleCompiledModule,
         moduleReader,
-        handleErrors
+        handleErrors,
+        symbolCache
         );
 }
 
-function compileModules(names, moduleReader, grammar, contextFactory, handleErrors, handleCompiledModule){
-    var resolver = makeResolver(grammar, contextFactory, handleCompiledModule, handleErrors, moduleReader);
+function compileModules(names, moduleReader, grammar, contextFactory, handleErrors, handleCompiledModule, options, symbolCache){
+    var resolver = makeResolver(grammar, contextFactory, handleCompiledModule, handleErrors, moduleReader, 
+                                options && options.warnings, symbolCache);
     for(var i in names)
         resolver.compile(moduleReader(names[i]));
+    return resolver;
 }
 
 function compile(text, language, handleErrors, options, moduleReader){
     var result = "";
+    var compiled = [];
     var rtl = new makeRTL(language.rtl);
     var moduleCode = function(name, imports){return new Code.ModuleGenerator(name, imports);};
     var resolver = makeResolver(
@@ -160,19 +311,32 @@ function compile(text, language, handleErrors, options, moduleReader){
                       moduleResolver: moduleResolver
                     });
             },
-            function(name, code){result += code;},
+            function(name, code, mappings){
+                compiled.push({line: SourceMap.countLines(result), mappings: mappings});
+                result += code;
+            },
             handleErrors,
-            moduleReader
+            moduleReader,
+            options && options.warnings
             );
     resolver.compile(text);
 
     var rtlCode = rtl.generate();
     if (rtlCode)
         result = rtlCode + result;
+
+    if (options && options.sourceMaps && compiled.length){
+        var sourceMap = new SourceMap.SourceMap();
+        var rtlLines = rtlCode ? SourceMap.countLines(rtlCode) : 0;
+        for(var i = 0; i < compiled.length; ++i)
+            sourceMap.addModule(compiled[i].mappings, rtlLines + compiled[i].line);
+        result += sourceMap.inlineComment();
+    }
     return result;
 }
 
 exports.ReadModule = ReadModule;
 exports.compileModule = compileModule;
 exports.compile = compile;
-exports.compileModules = compileModules;
\ No newline at end of file
+exports.compileModules = compileModules;
+exports.makeResolver = makeResolver;
\ No newline at end of file
@@ -1,17 +1,51 @@
 "use strict";
 
-var language = require("eberon/eberon_grammar.js").language;
 var nodejs = require("nodejs.js");
 
+var fs = require("fs");
+var path = require("path");
+
+var languages = {
+    oberon: require("oberon/oberon_grammar.js").language,
+    eberon: require("eberon/eberon_grammar.js").language
+};
+var defaultLanguage = "eberon";
+
+// project config file, it is read from the current directory if not specified by --config
+var defaultConfig = "oberonjs.json";
+
 var options = {
     "--include": "includeDirs",
     "--out-dir": "outDir",
     "--import-dir": "importDir",
-    "--timing": "timing"
+    "--timing": "timing",
+    "--source-maps": "sourceMaps",
+    "--diagnostics": "diagnostics",
+    "--warnings": "warnings",
+    "--disable-warnings": "disableWarnings",
+    "--incremental": "incremental",
+    "--watch": "watch",
+    "--es-modules": "esModules",
+    "--declarations": "declarations",
+    "--bundle": "bundle",
+    "--bundle-entry": "bundleEntry",
+    "--entry": "entry",
+    "--umd": "umd",
+    "--lang": "lang",
+    "--check-indexes": "checkIndexes",
+    "--check-overflow": "checkOverflow",
+    "--check-nil": "checkNil",
+    "--debug": "debug",
+    "--strip-assertions": "stripAssertions",
+    "--config": "config"
 };
 
 function parseOption(a, result){
     for(var o in options){
+        if (a == o){
+            result[options[o]] = "true";
+            return;
+        }
         var optionPrefix = o + "=";
         if (a.indexOf(optionPrefix) === 0){
             result[options[o]] = a.substr(optionPrefix.length);
@@ -28,29 +62,165 @@ function parseOptions(argv){
     return result;
 }
 
+// config values are converted to the same form as command line values have
+var listSeparators = {includeDirs: ";", disableWarnings: ","};
+var pathOptions = ["sources", "includeDirs", "outDir", "bundle"];
+
+/*
+    Read project config: JSON object with the same option names as used for parsed command line
+    (e.g. "includeDirs", "outDir", "checkIndexes") and "sources" list. Paths are relative to the config file.
+    "importDir" is used as is: it is not a path in file system but the prefix of imported module paths
+    in generated code, so it is resolved by node.js relative to the generated module (or NODE_PATH).
+*/
+function readConfig(configPath){
+    var config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    var dir = path.dirname(configPath);
+    var known = ["sources"];
+    for(var o in options)
+        if (options[o] != "config")
+            known.push(options[o]);
+
+    var result = {};
+    for(var name in config){
+        if (known.indexOf(name) == -1)
+            throw new Error("unknown option '" + name + "' in " + configPath);
+        var value = config[name];
+        if (value === false)
+            continue;
+
+        var values = value instanceof Array ? value : [value];
+        if (pathOptions.indexOf(name) != -1)
+            values = values.map(function(p){return path.isAbsolute(p) ? p : path.join(dir, p);});
+        if (name == "sources")
+            result[name] = values;
+        else
+            result[name] = value === true ? "true" : values.join(listSeparators[name] || "");
+    }
+    return result;
+}
+
+// options from command line override options from config
+function readArgs(argv){
+    var commandLine = parseOptions(argv);
+    var configPath = commandLine.config || (fs.existsSync(defaultConfig) ? defaultConfig : undefined);
+    var result = configPath ? readConfig(configPath) : {};
+    for(var name in commandLine)
+        if (name != "notParsed")
+            result[name] = commandLine[name];
+    if (commandLine.notParsed.length || !result.sources)
+        result.sources = commandLine.notParsed;
+    return result;
+}
+
+function makeWarnings(args){
+    if (args.warnings != "true" && !args.disableWarnings)
+        return undefined;
+
+    var result = {};
+    var disabled = args.disableWarnings ? args.disableWarnings.split(",") : [];
+    for(var i = 0; i < disabled.length; ++i)
+        result[disabled[i]] = false;
+    return result;
+}
+
 function main(){
-    var args = parseOptions(process.argv.splice(2));
-    var sources = args.notParsed;
+    var args;
+    try {
+        args = readArgs(process.argv.splice(2));
+    }
+    catch (x){
+        console.error(x.message);
+        return -1;
+    }
+    var sources = args.sources;
     if (!sources.length){
         console.info("Usage: <oc_nodejs> [options] <input oberon module file(s)>");
-        console.info("options:\n--include=<search directories separated by ';'>\n--out-dir=<out dir>\n--import-dir=<import dir>");
+        console.info("options:\n--include=<search directories separated by ';'>\n--out-dir=<out dir>\n--import-dir=<import dir>"
+                   + "\n--lang=oberon|eberon (source language, default is " + defaultLanguage + ")"
+                   + "\n--check-indexes (check array indexes at runtime)"
+                   + "\n--check-overflow (check INTEGER arithmetic and BYTE conversions for overflow at runtime)"
+                   + "\n--check-nil (check pointer dereferences and procedure variable calls for NIL at runtime)"
+                   + "\n--debug (report Oberon procedures and source lines for runtime errors, generated code is slower)"
+                   + "\n--strip-assertions (do not generate code for ASSERT, e.g. for release build)"
+                   + "\n--config=<file> (read options and sources from JSON file, default is " + defaultConfig + " if exists)"
+                   + "\n--source-maps (write source map file next to each generated module)"
+                   + "\n--diagnostics=json (print errors as JSON array to stdout)"
+                   + "\n--warnings (report unused variables, parameters, imports, procedures and types)"
+                   + "\n--disable-warnings=<warning codes separated by ','> (e.g. unusedParameter,unusedImport)"
+                   + "\n--incremental (write symbol file next to each generated module and do not recompile unchanged modules)"
+                   + "\n--es-modules (generate ES modules instead of CommonJS modules)"
+                   + "\n--declarations (write TypeScript declarations file next to each generated module)"
+                   + "\n--entry=<module> (program module: uncaught HALT(code) exits the process with the code)"
+                   + "\n--watch (do not exit, recompile changed modules and modules importing them)"
+                   + "\n--bundle=<file> (link all compiled modules with RTL into one script instead of writing separate modules)"
+                   + "\n--bundle-entry=<module> (bundle only this module with modules it imports)"
+                   + "\n--umd=<global name> (wrap the bundle to export the entry module as CommonJS/AMD module or global variable)");
+        return -1;
+    }
+    var language = languages[args.lang || defaultLanguage];
+    if (!language){
+        console.error("unknown language: '" + args.lang + "', expected: " + Object.keys(languages).join(", "));
         return -1;
     }
     var includeDirs = (args.includeDirs && args.includeDirs.split(";")) || [];
     var outDir = args.outDir || ".";
 
-    var errors = "";
+    var json = args.diagnostics == "json";
+    var diagnostics = [];
+    var handleErrors = function(e){ 
+        if (!json)
+            console.error(e.toString());
+        diagnostics.push(e);
+    };
+    var compileOptions = {sourceMaps: args.sourceMaps == "true",
+                          warnings: makeWarnings(args),
+                          incremental: args.incremental == "true",
+                          esModules: args.esModules == "true",
+                          declarations: args.declarations == "true",
+                          checkIndexes: args.checkIndexes == "true",
+                          checkOverflow: args.checkOverflow == "true",
+                          checkNil: args.checkNil == "true",
+                          debug: args.debug == "true",
+                          stripAssertions: args.stripAssertions == "true",
+                          entry: args.entry};
+    if (args.bundle){
+        if (args.watch == "true" || compileOptions.incremental || compileOptions.esModules){
+            console.error("--bundle cannot be used with --watch, --incremental or --es-modules");
+            return -1;
+        }
+        compileOptions.entry = args.bundleEntry;
+        compileOptions.umd = args.umd;
+    }
+
+    if (args.watch == "true"){
+        nodejs.watch(sources, language, handleErrors, includeDirs, outDir, args.importDir, compileOptions,
+                     function(modules){
+                        if (json)
+                            console.log(JSON.stringify(diagnostics));
+                        else if (modules.length)
+                            console.info("recompiled: " + modules.join(", "));
+                        diagnostics = [];
+                     });
+        if (json)
+            console.log(JSON.stringify(diagnostics));
+        diagnostics = [];
+        // keep running until interrupted
+        return undefined;
+    }
+
     var start = args.timing == "true" ? (new Date()).getTime() : undefined;
-    var success = nodejs.compile(sources, 
+    var success = args.bundle
+        ? nodejs.bundle(sources, language, handleErrors, includeDirs, args.bundle, compileOptions)
+        : nodejs.compile(sources, 
                    language, 
-                   function(e){ 
-                        console.error(e);
-                        errors += e + "\n";
-                   }, 
+                   handleErrors, 
                    includeDirs, 
                    outDir, 
-                   args.importDir
+                   args.importDir,
+                   compileOptions
                    );
+    if (json)
+        console.log(JSON.stringify(diagnostics));
     if (!success)
         return -2;
 
@@ -59,12 +229,13 @@ function main(){
         console.log("elapsed: " + (stop - start) / 1000 + " s" );
     }
     
-    console.info("OK!");
+    if (!json)
+        console.info("OK!");
     return 0;
 }
 
-// process.exit(main());
-// hack to avoid problem with not flushed stdout on exit: https://github.com/joyent/node/issues/1669
+// process.exit(main()) could lose not flushed stdout: https://github.com/joyent/node/issues/1669
 var rc = main();
-process.stdout.once("drain", function(){process.exit(rc);});
-process.stdout.write("");
+// undefined means the process is kept running (--watch)
+if (rc !== undefined)
+    process.exitCode = rc;
@@ -1,8 +1,10 @@
 "use strict";
 
 var assert = require("rtl.js").assert;
+var Diagnostics = require("diagnostics.js");
 var Errors = require("js/Errors.js");
 var Lexer = require("js/Lexer.js");
+var StackTrace = require("js/StackTrace.js");
 var Stream = require("js/Stream.js");
 
 function literal(s){
@@ -84,22 +86,164 @@ exports.required = function(parserOrString, error){
 	var parser = implicitParser(parserOrString);
 	
 	return function(stream, context){
-		if (!parser(stream, context))
-			throw new Errors.Error(error 
+		if (!parser(stream, context)){
+			var e = new Errors.Error(error 
 					? error 
 					: ("'" + parserOrString + "' expected"));
+			e.code = Diagnostics.syntaxCode;
+			e.pos = e.endPos = Stream.pos(stream);
+			throw e;
+		}
 		return true;
 	};
 };
 
+var blockBegin = ["IF", "CASE", "WHILE", "FOR", "REPEAT", "RECORD"];
+
+function isIdentChar(c){
+	return /[A-Za-z0-9]/.test(c);
+}
+
+function readToken(stream){
+	var c = String.fromCharCode(Stream.getChar(stream));
+	if (/[A-Za-z]/.test(c)){
+		while (!Stream.eof(stream) && isIdentChar(String.fromCharCode(Stream.peekChar(stream))))
+			c += String.fromCharCode(Stream.getChar(stream));
+	}
+	else if (c == "\"")
+		while (!Stream.eof(stream) && String.fromCharCode(Stream.getChar(stream)) != "\"");
+	return c;
+}
+
+function peekNextChar(stream, context){
+	var pos = Stream.pos(stream);
+	Lexer.skipSpaces(stream, context);
+	var result = Stream.eof(stream) ? "" : String.fromCharCode(Stream.peekChar(stream));
+	Stream.setPos(stream, pos);
+	return result;
+}
+
+function isProcedureDeclaration(stream, context){
+	return /[A-Za-z]/.test(peekNextChar(stream, context));
+}
+
+// anonymous procedure (Eberon) is an expression: 'PROCEDURE' followed by formal
+// parameters or ';' and not preceded by type declaration punctuation
+function isAnonymousProcedure(stream, context, prev, prevPrev){
+	var next = peekNextChar(stream, context);
+	if (next != "(" && next != ";")
+		return false;
+	return prev != "OF" && prev != "TO" && prev != ":"
+		&& !(prev == "=" && prevPrev != ":");
+}
+
+// skip erroneous construct up to one of 'stop' tokens at the same nesting level,
+// return position after the last skipped token
+function skipConstruct(stream, context, stop){
+	var blocks = [];
+	var end = Stream.pos(stream);
+	var prev;
+	var prevPrev;
+	for(;;){
+		Lexer.skipSpaces(stream, context);
+		if (Stream.eof(stream))
+			return end;
+
+		var pos = Stream.pos(stream);
+		var token = readToken(stream);
+		if (!blocks.length && stop.indexOf(token) != -1){
+			Stream.setPos(stream, pos);
+			return end;
+		}
+		end = Stream.pos(stream);
+
+		if (blockBegin.indexOf(token) != -1)
+			blocks.push(token);
+		else if (token == "PROCEDURE"){
+			// PROCEDURE type or record's method do not have END
+			if (blocks[blocks.length - 1] != "RECORD"
+				&& (isProcedureDeclaration(stream, context)
+				 || isAnonymousProcedure(stream, context, prev, prevPrev)))
+				blocks.push(token);
+		}
+		else if (token == "END" || token == "UNTIL")
+			blocks.pop();
+		prevPrev = prev;
+		prev = token;
+	}
+}
+
+/*
+	If error recovery is enabled for the root context then an error inside 'parser'
+	is remembered and parsing continues after the erroneous construct.
+*/
+exports.recover = function(parser, stop){
+	var p = implicitParser(parser);
+
+	return function(stream, context){
+		var root = context.root();
+		if (!root.recoverErrors)
+			return p(stream, context);
+
+		var savePos = Stream.pos(stream);
+		var scopeDepth = root.scopeDepth();
+		var error;
+		try {
+			return p(stream, context);
+		}
+		catch (x){
+			if (!(x instanceof Errors.Error))
+				throw x;
+			error = x;
+		}
+		var errorPos = Stream.pos(stream);
+		root.unwindScopes(scopeDepth);
+		Stream.setPos(stream, savePos);
+		var endPos = skipConstruct(stream, context, stop);
+		if (error.pos === undefined)
+			root.addError(error.toString(), Diagnostics.errorCode(error), errorPos, Math.max(errorPos, endPos));
+		else
+			root.addError(error.toString(), Diagnostics.errorCode(error), error.pos, error.endPos);
+		return true;
+	};
+};
+
+// end of the construct started at 'start': current position without spaces skipped after the construct
+function constructEnd(stream, start){
+	var pos = Stream.pos(stream);
+	var result = pos;
+	while (result > start){
+		Stream.setPos(stream, result - 1);
+		if (Stream.peekChar(stream) > 32) // not a space (char code)
+			break;
+		--result;
+	}
+	Stream.setPos(stream, pos);
+	return result;
+}
+
+/*
+	Error raised while parsing the context is located at the innermost context:
+	from the start of its construct to the position where the error was raised.
+*/
 exports.context = function(parser, ContextFactory){
 	return function(stream, child){
-		var context = new ContextFactory(child);
-		if (!parser(stream, context))
-			return false;
-		if (context.endParse)
-			return context.endParse() !== false;
-		return true;
+		var pos = Stream.pos(stream);
+		try {
+			var context = new ContextFactory(child);
+			if (!parser(stream, context))
+				return false;
+			if (context.endParse)
+				return context.endParse() !== false;
+			return true;
+		}
+		catch (x){
+			if (x instanceof Errors.Error && x.pos === undefined){
+				x.pos = pos;
+				x.endPos = constructEnd(stream, pos);
+			}
+			throw x;
+		}
 	};
 };
 
@@ -115,4 +259,27 @@ exports.emit = function(parser, action){
 	};
 };
 
+exports.mapSource = function(parser){
+	return function(stream, context){
+		context.codeGenerator().mapSource(Stream.pos(stream));
+		return parser(stream, context);
+	};
+};
+
+// in debug mode generated code of the parsed statement is preceded by its source line (see StackTrace.ob)
+exports.traceLine = function(parser){
+	return function(stream, context){
+		if (!StackTrace.enabled(context))
+			return parser(stream, context);
+
+		var pos = Stream.pos(stream);
+		var insertion = context.codeGenerator().makeInsertion();
+		if (!parser(stream, context))
+			return false;
+		if (Stream.pos(stream) != pos)
+			StackTrace.traceLine(context, insertion, pos);
+		return true;
+	};
+};
+
 exports.literal = literal;
\ No newline at end of file
@@ -63,25 +63,25 @@ var methods = {
             var msg = "cannot cast";
             if (fromStr || toStr)               
                 msg += " to '" + toStr + "' from '" + fromStr + "'";
-            throw new Error(msg);
+            throw this.__error(msg);
         }
         return from;
     },
     charAt: function(s, index){
         if (index >= 0 && index < s.length)
             return s.charCodeAt(index);
-        throw new Error("index out of bounds: " + index);
+        throw this.__error("index out of bounds: " + index);
     },
     getAt: function(where, index){
         if (index >= 0 && index < where.length)
             return where[index];
-        throw new Error("index out of bounds: " + index);
+        throw this.__error("index out of bounds: " + index);
     },
     putAt: function(where, index, what){
         if (index >= 0 && index < where.length)
             where[index] = what;
         else
-            throw new Error("index out of bounds: " + index);
+            throw this.__error("index out of bounds: " + index);
     },
     makeArray: function(/*dimensions, initializer*/){
         var forward = Array.prototype.slice.call(arguments);
@@ -144,11 +144,12 @@ var methods = {
         return makeArray.apply(undefined, forward);
     },
     makeSet: function(/*...*/){
+        var rtl = this;
         var result = 0;
         
         function checkBit(b){
             if (b < 0 || b > 31)
-                throw new Error("integers between 0 and 31 expected, got " + b);
+                throw rtl.__error("integers between 0 and 31 expected, got " + b);
         }
 
         function setBit(b){
@@ -162,7 +163,7 @@ var methods = {
                 var from = b[0];
                 var to = b[1];
                 if (to < from)
-                    throw new Error("invalid SET diapason: " + from + ".." + to);
+                    throw rtl.__error("invalid SET diapason: " + from + ".." + to);
                 for(var bi = from; bi <= to; ++bi)
                     setBit(bi);
             }
@@ -241,22 +242,226 @@ var methods = {
             return result;
         }
     },
-    assert: function(condition){
-        if (!condition)
-            throw new Error("assertion failed");
+    // 'code' (optional) - trap number or message
+    assert: function(condition, module, line, code){
+        if (condition)
+            return;
+        var msg = "assertion failed";
+        if (code !== undefined)
+            msg += ": " + code;
+        if (module !== undefined)
+            msg += " (module " + module + ", line " + line + ")";
+        var result = this.__error(msg);
+        if (typeof code == "number")
+            result.trap = code;
+        throw result;
+    },
+    // HALT(code): the exception is distinguished by 'haltCode' property
+    halt: function(code){
+        var result = this.__error("HALT(" + code + ")");
+        result.haltCode = code;
+        throw result;
+    },
+    // called by program entry module run by nodejs: uncaught HALT(code) terminates the process
+    // with exit code 'code' instead of reporting the exception, other exceptions are not affected
+    exitOnHalt: function(){
+        if (this.__exitOnHaltInstalled || typeof process == "undefined" || !process.on)
+            return;
+        this.__exitOnHaltInstalled = true;
+        process.on("uncaughtExceptionMonitor", function(e){
+            if (e && e.haltCode !== undefined)
+                process.exit(e.haltCode);
+        });
+    },
+    __checkInt: function(x){
+        if (x > 2147483647 || x < -2147483648)
+            throw this.__error("integer overflow: " + x);
+        return x;
+    },
+    addInt: function(x, y){
+        return this.__checkInt(x + y);
+    },
+    subInt: function(x, y){
+        return this.__checkInt(x - y);
+    },
+    // product is exact if it fits INTEGER range
+    mulInt: function(x, y){
+        return this.__checkInt(x * y);
+    },
+    divInt: function(x, y){
+        if (!y)
+            throw this.__error("division by zero");
+        return this.__checkInt(x / y) | 0;
+    },
+    negateInt: function(x){
+        return this.__checkInt(-x);
+    },
+    toByte: function(x){
+        if (x < 0 || x > 255)
+            throw this.__error("BYTE overflow: " + x);
+        return x;
+    },
+    __nilError: function(what, designator, module, line){
+        throw this.__error(what + ": " + designator + " (module " + module + ", line " + line + ")");
+    },
+    checkNil: function(p, designator, module, line){
+        if (!p)
+            this.__nilError("NIL pointer dereference", designator, module, line);
+        return p;
+    },
+    checkProcNil: function(p, designator, module, line){
+        if (!p)
+            this.__nilError("call of NIL procedure", designator, module, line);
+        return p;
+    },
+    // Oberon call stack is maintained by code generated in debug mode (see StackTrace.ob)
+    enter: function(name){
+        var frame = {name: name, line: 0};
+        (this.__frames || (this.__frames = [])).push(frame);
+        return frame;
+    },
+    leave: function(){
+        this.__frames.pop();
+    },
+    // runtime error with Oberon call stack attached (if any)
+    __error: function(msg){
+        var result = new Error(msg);
+        var frames = this.__frames;
+        if (frames && frames.length){
+            var stack = [];
+            for(var i = frames.length; i--;)
+                stack.push(frames[i].name + " (line " + frames[i].line + ")");
+            result.oberonStack = stack;
+            result.stack = result + "\n    at " + stack.join("\n    at ");
+        }
+        return result;
+    }
+};
+
+/*
+    Interop API for hand-written JavaScript calling modules compiled for nodejs,
+    so the caller does not depend on details of generated code:
+    - scalar (INTEGER, REAL, BOOLEAN, CHAR, SET, pointer, procedure) VAR parameter is passed as 'ref' object;
+    - records and arrays are passed as is for both VAR and non-VAR parameters;
+    - JavaScript string can be passed as is for non-VAR ARRAY OF CHAR parameter (and for Eberon STRING);
+    - CHAR is a character code, e.g. "A".charCodeAt(0).
+*/
+function mangleProperty(id){
+    // see Record.mangleJSProperty
+    return id == "constructor" || id == "prototype" ? id + "$" : id;
+}
+
+function assignCharArray(a, s){
+    if (s.length > a.length)
+        throw exports.__error("string '" + s + "' is too long for ARRAY " + a.length + " OF CHAR");
+    exports.assignArrayFromString(a, s);
+}
+
+function assignFields(record, fields){
+    for(var name in fields){
+        var id = mangleProperty(name);
+        if (!record.hasOwnProperty(id))
+            throw exports.__error("record has no field '" + name + "'");
+        var value = fields[name];
+        var field = record[id];
+        if (typeof value == "string" && field instanceof Uint16Array)
+            assignCharArray(field, value);
+        else if (value && value.constructor === Object && field && typeof field == "object")
+            // nested record
+            assignFields(field, value);
+        else
+            record[id] = value;
+    }
+}
+
+var interop = {
+    // VAR parameter of scalar type with initial 'value'
+    ref: function(value){
+        return {set: function(v){value = v;},
+                get: function(){return value;}};
+    },
+    // ARRAY 'length' OF CHAR (string length + 1 by default) filled by string and 0X
+    toCharArray: function(s, length){
+        var result = exports.__makeCharArray(length === undefined ? s.length + 1 : length);
+        assignCharArray(result, s);
+        return result;
+    },
+    // string from ARRAY OF CHAR (up to 0X)
+    fromCharArray: function(a){
+        var result = "";
+        for(var i = 0; i < a.length && a.charCodeAt(i); ++i)
+            result += String.fromCharCode(a.charCodeAt(i));
+        return result;
+    },
+    // new record of exported type 'Type' (record or pointer) with default field values,
+    // 'fields' (optional) sets values for some fields: strings are copied to ARRAY OF CHAR fields,
+    // plain objects are copied to record fields
+    makeRecord: function(Type, fields){
+        var result = new Type();
+        if (fields)
+            assignFields(result, fields);
+        return result;
+    },
+    // SET from array of elements (integers between 0 and 31 or [from, to] ranges)
+    toSet: function(elements){
+        return exports.makeSet.apply(exports, elements);
+    },
+    // sorted array of SET elements
+    fromSet: function(set){
+        var result = [];
+        for(var i = 0; i < 32; ++i)
+            if (set & (1 << i))
+                result.push(i);
+        return result;
+    },
+    // exported constant, type or procedure
+    exported: function(module, name){
+        var id = mangleProperty(name);
+        if (!Object.prototype.hasOwnProperty.call(module, id))
+            throw exports.__error("'" + name + "' is not exported");
+        return module[id];
+    },
+    // current value of exported variable
+    variable: function(module, name){
+        return interop.exported(module, name)();
+    },
+    // call exported procedure 'name' with the rest arguments
+    call: function(module, name/*, ...*/){
+        var p = interop.exported(module, name);
+        if (typeof p != "function")
+            throw exports.__error("'" + name + "' is not a procedure");
+        return p.apply(undefined, Array.prototype.slice.call(arguments, 2));
     }
 };
 
 exports.Class = Class;
 exports.rtl = {
     dependencies: { 
+        "typeGuard": ["__error"],
+        "charAt": ["__error"],
+        "getAt": ["__error"],
+        "putAt": ["__error"],
+        "makeSet": ["__error"],
+        "assert": ["__error"],
+        "halt": ["__error"],
+        "toByte": ["__error"],
         "copy": ["clone"],
         "clone": ["copy"],
         "makeCharArray": ["__makeCharArray"],
-        "__makeCharArray": ["__setupCharArrayMethods"]
+        "__makeCharArray": ["__setupCharArrayMethods"],
+        "addInt": ["__checkInt"],
+        "subInt": ["__checkInt"],
+        "mulInt": ["__checkInt"],
+        "divInt": ["__checkInt"],
+        "negateInt": ["__checkInt"],
+        "checkNil": ["__nilError"],
+        "checkProcNil": ["__nilError"],
+        "__checkInt": ["__error"],
+        "__nilError": ["__error"]
     },
     methods: methods,
     nodejsModule: "rtl.js"
 };
 exports.applyMap = applyMap;
+exports.interop = interop;
 applyMap(methods, exports);
@@ -49,6 +49,13 @@ var rtlPrototype = {
         
         return result;
     },
+    isUsed: function(name){return !!this.__entries[name];},
+    // all methods regardless of demand (for RTL as a separate module)
+    generateAll: function(){
+        for(var name in this.__rtl.methods)
+            this.__putEntry(name);
+        return this.generate();
+    },
     __putEntry: function(name){
         if (this.__entries[name])
             return;
@@ -0,0 +1,134 @@
+"use strict";
+
+var Class = require("rtl.js").Class;
+
+var base64Digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeVlq(value){
+    var vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+    var result = "";
+    do {
+        var digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq)
+            digit |= 32;
+        result += base64Digits.charAt(digit);
+    }
+    while (vlq);
+    return result;
+}
+
+function encodeBase64(s){
+    if (typeof Buffer != "undefined")
+        return Buffer.from(s, "utf8").toString("base64");
+    return btoa(unescape(encodeURIComponent(s)));
+}
+
+function lineStarts(text){
+    var result = [0];
+    for(var i = 0; i < text.length; ++i)
+        if (text.charAt(i) == "\n")
+            result.push(i + 1);
+    return result;
+}
+
+function lineColumn(starts, pos){
+    var lo = 0;
+    var hi = starts.length - 1;
+    while (lo < hi){
+        var mid = (lo + hi + 1) >> 1;
+        if (starts[mid] <= pos)
+            lo = mid;
+        else
+            hi = mid - 1;
+    }
+    return {line: lo, column: pos - starts[lo]};
+}
+
+/*
+    One compiled module: generated code with mappings collected by CodeGenerator.Generator
+    (positions in generated code -> positions in source text).
+*/
+var ModuleMappings = Class.extend({
+    init: function SourceMap$ModuleMappings(source, sourceText, code, mappings){
+        this.source = source;
+        this.sourceText = sourceText;
+        this.code = code;
+        this.mappings = mappings;
+    }
+});
+
+var SourceMap = Class.extend({
+    init: function SourceMap(file){
+        this.__file = file;
+        this.__sources = [];
+        this.__lines = [];
+    },
+    // 'line' is a line number of generated file where module's code starts
+    addModule: function(m, line, sourcePath){
+        var sourceIndex = this.__sources.length;
+        this.__sources.push(sourcePath === undefined ? m.source : sourcePath);
+
+        var codeStarts = lineStarts(m.code);
+        var sourceStarts = lineStarts(m.sourceText);
+        for(var i = 0; i < m.mappings.length; ++i){
+            var mapping = m.mappings[i];
+            var generated = lineColumn(codeStarts, mapping.generated);
+            var source = lineColumn(sourceStarts, mapping.source);
+            var l = line + generated.line;
+            while (this.__lines.length <= l)
+                this.__lines.push([]);
+            this.__lines[l].push({column: generated.column,
+                                  source: sourceIndex,
+                                  sourceLine: source.line,
+                                  sourceColumn: source.column});
+        }
+    },
+    mappings: function(){
+        var result = "";
+        var prevSource = 0;
+        var prevSourceLine = 0;
+        var prevSourceColumn = 0;
+        for(var l = 0; l < this.__lines.length; ++l){
+            if (l)
+                result += ";";
+            var segments = this.__lines[l];
+            var prevColumn = 0;
+            for(var i = 0; i < segments.length; ++i){
+                var s = segments[i];
+                if (i)
+                    result += ",";
+                result += encodeVlq(s.column - prevColumn)
+                        + encodeVlq(s.source - prevSource)
+                        + encodeVlq(s.sourceLine - prevSourceLine)
+                        + encodeVlq(s.sourceColumn - prevSourceColumn);
+                prevColumn = s.column;
+                prevSource = s.source;
+                prevSourceLine = s.sourceLine;
+                prevSourceColumn = s.sourceColumn;
+            }
+        }
+        return result;
+    },
+    generate: function(){
+        return JSON.stringify({
+            version: 3,
+            file: this.__file,
+            sources: this.__sources,
+            names: [],
+            mappings: this.mappings()
+        });
+    },
+    inlineComment: function(){
+        return "//# sourceMappingURL=data:application/json;base64," + encodeBase64(this.generate()) + "\n";
+    }
+});
+
+function countLines(text){
+    return lineStarts(text).length - 1;
+}
+
+exports.ModuleMappings = ModuleMappings;
+exports.SourceMap = SourceMap;
+exports.countLines = countLines;
+exports.encodeVlq = encodeVlq;
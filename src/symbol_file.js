@@ -0,0 +1,491 @@
+"use strict";
+
+var Class = require("rtl.js").Class;
+var ConstValue = require("js/ConstValue.js");
+var Context = require("js/Context.js");
+var EberonContext = require("js/EberonContext.js");
+var EberonDynamicArray = require("js/EberonDynamicArray.js");
+var EberonEnum = require("js/EberonEnum.js");
+var EberonException = require("js/EberonException.js");
+var EberonInterface = require("js/EberonInterface.js");
+var EberonMap = require("js/EberonMap.js");
+var EberonRecord = require("js/EberonRecord.js");
+var EberonString = require("js/EberonString.js");
+var EberonTypes = require("js/EberonTypes.js");
+var Procedure = require("js/Procedure.js");
+var Record = require("js/Record.js");
+var Scope = require("js/Scope.js");
+var Symbols = require("js/Symbols.js");
+var TypeId = require("js/TypeId.js");
+var Types = require("js/Types.js");
+var Variable = require("js/Variable.js");
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+
+// symbol files written with another version are ignored
+var version = 3;
+
+function hash(text){
+    return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+// types without declaration, they are referenced by name
+function predefinedTypes(){
+    var basic = Types.basic();
+    return {"BOOLEAN": basic.bool,
+            "CHAR": basic.ch,
+            "INTEGER": basic.integer,
+            "BYTE": basic.uint8,
+            "REAL": basic.real,
+            "SET": basic.set,
+            "STRING": EberonString.string(),
+            "EXCEPTION": EberonException.exception(),
+            "JS.var": Types.any()};
+}
+
+function predefinedTypeName(t){
+    var types = predefinedTypes();
+    for(var name in types)
+        if (types[name] == t)
+            return name;
+    return undefined;
+}
+
+function findPredefinedType(name){
+    var types = predefinedTypes();
+    if (!types.hasOwnProperty(name))
+        throw new Error("unknown predefined type: '" + name + "'");
+    return types[name];
+}
+
+function writeConstValue(value){
+    if (value instanceof ConstValue.Int)
+        return {int: value.value};
+    if (value instanceof ConstValue.Real)
+        return {real: value.value};
+    if (value instanceof ConstValue.Set)
+        return {set: value.value};
+    if (value instanceof ConstValue.String)
+        return {string: value.value};
+    throw new Error("unsupported constant value");
+}
+
+function readConstValue(value){
+    if ("int" in value)
+        return new ConstValue.Int(value.int);
+    if ("real" in value)
+        return new ConstValue.Real(value.real);
+    if ("set" in value)
+        return new ConstValue.Set(value.set);
+    return new ConstValue.String(value.string);
+}
+
+// records, interfaces and enumerations are identified by their module and name: they can be referenced from other modules
+function isDeclaration(t){
+    return t instanceof Record.Type || t instanceof EberonInterface.Type || t instanceof EberonEnum.Type;
+}
+
+function declarationName(t){
+    return t instanceof Record.Type ? t.cons : t.name;
+}
+
+function declarationModule(t){
+    if (!(t.scope instanceof Scope.Module))
+        throw new Error("type '" + declarationName(t) + "' is not declared at module level");
+    return t.scope.symbol.id();
+}
+
+/*
+    Makes JSON-compatible description of module exports. Every type
+    (except predefined types and records from other modules) is written once to the
+    types table and is referenced by its index, so type identity and recursive
+    types are preserved. Records (interfaces, enumerations) from other modules are referenced
+    by module name and record constructor name (interface or enumeration name).
+*/
+var Writer = Class.extend({
+    init: function SymbolFile$Writer(moduleName){
+        this.__moduleName = moduleName;
+        this.__written = [];
+        this.types = [];
+        this.records = {}; // constructor (interface, enumeration) name -> type declared in the module
+        this.modules = []; // other modules referenced by the types
+    },
+    symbols: function(exports){
+        var result = {};
+        for(var id in exports)
+            result[id] = this.__symbol(exports[id].info());
+        return result;
+    },
+    __symbol: function(info){
+        if (info instanceof TypeId.Type)
+            return {kind: "type", type: this.__type(info.type())};
+        if (info instanceof Types.Const)
+            return {kind: "const", type: this.__type(info.type), value: writeConstValue(info.value)};
+        if (info instanceof Types.Variable)
+            return {kind: "variable", type: this.__type(info.type())};
+        if (info instanceof Procedure.Id)
+            return {kind: "procedure", type: this.__type(info.type)};
+        throw new Error("cannot write " + info.idType());
+    },
+    __type: function(t){
+        var predefined = predefinedTypeName(t);
+        if (predefined)
+            return predefined;
+
+        if (isDeclaration(t)){
+            var module = declarationModule(t);
+            if (module != this.__moduleName){
+                if (this.modules.indexOf(module) == -1)
+                    this.modules.push(module);
+                return {module: module, record: declarationName(t)};
+            }
+        }
+
+        var index = this.__written.indexOf(t);
+        if (index == -1){
+            index = this.types.length;
+            // reserve index before describing the type, it can refer to itself
+            this.__written.push(t);
+            this.types.push(undefined);
+            this.types[index] = this.__describe(t);
+        }
+        return index;
+    },
+    __describe: function(t){
+        if (t instanceof Record.Type)
+            return this.__record(t);
+        if (t instanceof EberonInterface.Type)
+            return this.__interface(t);
+        if (t instanceof EberonEnum.Type){
+            this.records[t.name] = t;
+            return {kind: "enum", name: t.name, values: t.values};
+        }
+        if (t instanceof Record.Pointer)
+            return {kind: "pointer", name: t.name, base: this.__type(Record.pointerBase(t))};
+        if (t instanceof EberonDynamicArray.DynamicArray)
+            return {kind: "dynamicArray", elements: this.__type(t.elementsType)};
+        if (t instanceof EberonMap.Type){
+            var map = {kind: "map", elements: this.__type(t.elementsType)};
+            if (t.keyType)
+                map.key = this.__type(t.keyType);
+            return map;
+        }
+        if (t instanceof Types.StaticArray)
+            return {kind: "staticArray",
+                    elements: this.__type(t.elementsType),
+                    length: t.length(),
+                    initializer: t.mInitializer};
+        if (t instanceof Types.OpenArray)
+            return {kind: "openArray", elements: this.__type(t.elementsType)};
+        if (t instanceof Procedure.Defined)
+            return this.__procedure(t);
+        if (t instanceof Types.String)
+            return {kind: "string", value: t.s};
+        throw new Error("cannot write type '" + t.description() + "'");
+    },
+    __record: function(r){
+        this.records[r.cons] = r;
+        var result = {kind: "record",
+                      name: r.name,
+                      cons: r.cons,
+                      base: r.base ? this.__type(r.base) : null,
+                      hidden: r.finalizedAsNonExported,
+                      fields: {}};
+        for(var id in r.fields){
+            var f = r.fields[id];
+            var identdef = f.identdef();
+            result.fields[id] = {type: this.__type(f.type()),
+                                 readOnly: identdef instanceof EberonContext.IdentdefInfo && identdef.isReadOnly()};
+        }
+        if (r instanceof EberonRecord.Record)
+            result.eberon = this.__eberonRecord(r);
+        return result;
+    },
+    __eberonRecord: function(r){
+        var methods = {};
+        for(var id in r.declaredMethods)
+            methods[id] = this.__type(r.declaredMethods[id].type().procType());
+        return {constructorType: r.customConstructor ? this.__type(r.customConstructor) : null,
+                constructorExported: r.customConstructorExported,
+                methods: methods,
+                definedMethods: r.definedMethods,
+                abstractMethods: r.abstractMethods,
+                nonExportedMethods: r.nonExportedMethods,
+                newOnly: r.createByNewOnly,
+                interfaces: r.interfaces.map(this.__type, this)};
+    },
+    __interface: function(i){
+        this.records[i.name] = i;
+        var methods = {};
+        for(var id in i.methods)
+            methods[id] = this.__type(i.methods[id].type().procType());
+        return {kind: "interface", name: i.name, id: i.id, methods: methods};
+    },
+    __procedure: function(p){
+        var args = p.args().map(function(a){
+            return {type: this.__type(a.type), isVar: a.isVar, name: a.name};
+        }, this);
+        var result = p.result();
+        return {kind: "procedure",
+                name: p.name,
+                args: args,
+                result: result ? this.__type(result) : null};
+    }
+});
+
+/*
+    Restores module symbol from the description made by Writer.
+    'findRecord(module, cons)' returns record (interface, enumeration) declared in another module.
+*/
+var Reader = Class.extend({
+    init: function SymbolFile$Reader(data, language, findRecord){
+        this.__data = data;
+        this.__language = language;
+        this.__findRecord = findRecord;
+        this.__types = [];
+        this.__scope = new Scope.Module(data.name, {});
+    },
+    read: function(){
+        var symbols = this.__data.symbols;
+        for(var id in symbols)
+            this.__scope.addSymbol(new Symbols.Symbol(id, this.__symbol(id, symbols[id])), true);
+        Scope.defineExports(this.__scope);
+        return Scope.moduleSymbol(this.__scope);
+    },
+    __symbol: function(id, s){
+        var type = this.__type(s.type);
+        switch (s.kind){
+            case "type": return new TypeId.Type(type);
+            case "const": return new Types.Const(type, readConstValue(s.value));
+            case "variable": return new Variable.ExportedVariable(id, type);
+            case "procedure": return new Procedure.Id(type, id, false);
+        }
+        throw new Error("unknown symbol kind: '" + s.kind + "'");
+    },
+    __type: function(ref){
+        if (typeof ref == "string")
+            return findPredefinedType(ref);
+        if (typeof ref == "object")
+            return this.__findRecord(ref.module, ref.record);
+        var result = this.__types[ref];
+        if (!result)
+            result = this.__make(ref, this.__data.types[ref]);
+        return result;
+    },
+    // records, pointers and procedures are registered before reading their parts - they can refer to themselves
+    __make: function(index, d){
+        var types = this.__language.types;
+        var result;
+        switch (d.kind){
+            case "record":
+                result = d.eberon ? new EberonRecord.Record(d.name, d.cons, this.__scope)
+                                  : new Record.Type(d.name, d.cons, this.__scope);
+                this.__types[index] = result;
+                this.__readRecord(result, d);
+                break;
+            case "interface":
+                result = new EberonInterface.Type(d.name, d.id, this.__scope);
+                for(var id in d.methods)
+                    result.addMethod(new EberonContext.IdentdefInfo(id, true, false, 0),
+                                     new EberonTypes.MethodType(id, this.__type(d.methods[id]), Procedure.makeProcCallGenerator));
+                break;
+            case "enum":
+                result = new EberonEnum.Type(d.name, this.__scope);
+                d.values.forEach(result.addValue, result);
+                break;
+            case "pointer":
+                var base = new TypeId.Type(null);
+                result = new Record.Pointer(d.name, base);
+                this.__types[index] = result;
+                base.reset(this.__type(d.base));
+                break;
+            case "procedure":
+                result = new Procedure.Defined(d.name);
+                this.__types[index] = result;
+                result.define(d.args.map(function(a){
+                                  var arg = new Types.ProcedureArgument(this.__type(a.type), a.isVar);
+                                  arg.name = a.name;
+                                  return arg;
+                              }, this),
+                              d.result === null ? null : this.__type(d.result));
+                break;
+            case "staticArray":
+                result = types.makeStaticArray(this.__type(d.elements), d.initializer, d.length);
+                break;
+            case "openArray":
+                result = types.makeOpenArray(this.__type(d.elements));
+                break;
+            case "dynamicArray":
+                result = new EberonDynamicArray.DynamicArray(this.__type(d.elements));
+                break;
+            case "map":
+                result = new EberonMap.Type("key" in d ? this.__type(d.key) : null, this.__type(d.elements));
+                break;
+            case "string":
+                result = new Types.String(d.value);
+                break;
+            default:
+                throw new Error("unknown type kind: '" + d.kind + "'");
+        }
+        this.__types[index] = result;
+        return result;
+    },
+    __readRecord: function(r, d){
+        // no checks from Record.setBase: they were done when the module was compiled
+        if (d.base !== null)
+            r.base = this.__type(d.base);
+        r.finalizedAsNonExported = d.hidden;
+
+        var eberon = d.eberon;
+        if (eberon){
+            if (eberon.constructorType !== null){
+                r.customConstructor = this.__type(eberon.constructorType);
+                r.customConstructorExported = eberon.constructorExported;
+                r.customConstructorDefined = true;
+            }
+            for(var m in eberon.methods)
+                r.addMethod(new EberonContext.IdentdefInfo(m, true, false, 0),
+                            new EberonTypes.MethodType(m, this.__type(eberon.methods[m]), Procedure.makeProcCallGenerator));
+            r.definedMethods = eberon.definedMethods;
+            r.abstractMethods = eberon.abstractMethods;
+            r.nonExportedMethods = eberon.nonExportedMethods;
+            r.createByNewOnly = eberon.newOnly;
+            r.interfaces = eberon.interfaces.map(this.__type, this);
+            r.finalized = true;
+        }
+
+        for(var id in d.fields){
+            var f = d.fields[id];
+            var fieldType = this.__type(f.type);
+            r.addField(eberon
+                ? new EberonRecord.Field(new EberonContext.IdentdefInfo(id, true, f.readOnly, 0), fieldType, r)
+                : new Record.Field(new Context.IdentdefInfo(id, true, 0), fieldType));
+        }
+    }
+});
+
+/*
+    Symbol files for incremental compilation. Symbol file describes module
+    exports and is written next to the generated JS. Module is not compiled
+    if its source was not changed and interfaces of the imported modules are
+    the same as they were when the module was compiled - the symbol file is
+    used instead.
+*/
+var Cache = Class.extend({
+    init: function SymbolFile$Cache(outDir, language, options){
+        this.__outDir = outDir;
+        this.__language = language;
+        this.__options = options; // compiler options affecting generated code
+        this.__interfaces = {};   // module name -> interface hash
+        this.__records = {};      // module name -> records declared in the module
+    },
+    load: function(module, resolveModule){
+        var name = path.basename(module.path, path.extname(module.path));
+        var filePath = this.__filePath(name);
+        if (!fs.existsSync(filePath) || !fs.existsSync(path.join(this.__outDir, name + ".js")))
+            return undefined;
+
+        var data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        }
+        catch (x){
+            return undefined;
+        }
+        if (   data.version != version
+            || data.source != hash(module.content)
+            || JSON.stringify(data.options) != JSON.stringify(this.__options))
+            return undefined;
+
+        for(var i in data.imports){
+            resolveModule(i);
+            if (this.__interfaces[i] != data.imports[i])
+                return undefined;
+        }
+
+        var symbol;
+        try {
+            symbol = new Reader(data, this.__language, this.__findRecord.bind(this, resolveModule)).read();
+        }
+        catch (x){
+            return undefined;
+        }
+        this.__interfaces[name] = data.interface;
+        return symbol;
+    },
+    // 'imports' are names of modules resolved while compiling the module
+    store: function(symbol, module, imports){
+        var name = symbol.id();
+        var data = this.__describe(symbol, module, imports);
+        var filePath = this.__filePath(name);
+        // module's records are recreated by recompiling
+        delete this.__records[name];
+        if (data){
+            this.__interfaces[name] = data.interface;
+            fs.writeFileSync(filePath, JSON.stringify(data, null, 4) + "\n");
+        }
+        else if (fs.existsSync(filePath))
+            // do not leave outdated symbol file
+            fs.unlinkSync(filePath);
+    },
+    __describe: function(symbol, module, imports){
+        var writer = new Writer(symbol.id());
+        var symbols;
+        try {
+            symbols = writer.symbols(symbol.info().exports);
+        }
+        catch (x){
+            return undefined;
+        }
+
+        var importInterfaces = {};
+        for(var i = 0; i < imports.length; ++i){
+            var importName = imports[i];
+            if (!this.__interfaces[importName])
+                return undefined;
+            importInterfaces[importName] = this.__interfaces[importName];
+        }
+
+        // interface includes referenced modules: type from another module can be changed without changing this module
+        var interfaceText = JSON.stringify({symbols: symbols, types: writer.types});
+        for(var m = 0; m < writer.modules.length; ++m){
+            var referenced = this.__interfaces[writer.modules[m]];
+            if (!referenced)
+                return undefined;
+            interfaceText += referenced;
+        }
+
+        return {version: version,
+                name: symbol.id(),
+                source: hash(module.content),
+                options: this.__options,
+                imports: importInterfaces,
+                interface: hash(interfaceText),
+                symbols: symbols,
+                types: writer.types};
+    },
+    __findRecord: function(resolveModule, moduleName, cons){
+        var records = this.__records[moduleName];
+        if (!records){
+            var info = resolveModule(moduleName);
+            if (!info)
+                throw new Error("cannot resolve module '" + moduleName + "'");
+            var writer = new Writer(moduleName);
+            writer.symbols(info.exports);
+            records = writer.records;
+            this.__records[moduleName] = records;
+        }
+        if (!(cons in records))
+            throw new Error("module '" + moduleName + "' has no record '" + cons + "'");
+        return records[cons];
+    },
+    __filePath: function(name){
+        return path.join(this.__outDir, name + ".sym");
+    }
+});
+
+exports.Cache = Cache;
+exports.Reader = Reader;
+exports.Writer = Writer;
@@ -0,0 +1,348 @@
+"use strict";
+
+var Class = require("rtl.js").Class;
+var Code = require("js/Code.js");
+var CodeGenerator = require("js/CodeGenerator.js");
+var EberonContext = require("js/EberonContext.js");
+var EberonDynamicArray = require("js/EberonDynamicArray.js");
+var EberonEnum = require("js/EberonEnum.js");
+var EberonGeneric = require("js/EberonGeneric.js");
+var EberonInterface = require("js/EberonInterface.js");
+var EberonMap = require("js/EberonMap.js");
+var EberonRecord = require("js/EberonRecord.js");
+var EberonString = require("js/EberonString.js");
+var Procedure = require("js/Procedure.js");
+var Record = require("js/Record.js");
+var Scope = require("js/Scope.js");
+var TypeId = require("js/TypeId.js");
+var Types = require("js/Types.js");
+
+function basicTypeName(t){
+    var basic = Types.basic();
+    if (t == basic.bool)
+        return "boolean";
+    if (t == basic.ch || t == basic.integer || t == basic.uint8 || t == basic.real || t == basic.set)
+        return "number";
+    if (t == EberonString.string() || t instanceof Types.String)
+        return "string";
+    if (t == Types.any())
+        return "any";
+    return undefined;
+}
+
+function isCharArray(t){
+    return t instanceof Types.Array && t.elementsType == Types.basic().ch;
+}
+
+// VAR parameter of scalar type is passed as reference object (see CodeTraits.referenceCode)
+function refType(type){
+    return "{get(): " + type + "; set(v: " + type + "): void}";
+}
+
+/*
+    Records exported as JS classes: constructor name -> exported name.
+    Record is exported as a class by its type or by the pointer type (see Code.genExport).
+*/
+function exportedClasses(exports){
+    var result = {};
+    for(var id in exports){
+        var s = exports[id];
+        var info = s.info();
+        if (!(info instanceof TypeId.Type) || !Code.genExport(s))
+            continue;
+        var t = info.type();
+        var r = t instanceof Record.Pointer ? Record.pointerBase(t) : t;
+        if (r instanceof Record.Type && !result.hasOwnProperty(r.cons))
+            result[r.cons] = Code.exportId(s);
+    }
+    return result;
+}
+
+function findBaseMethod(r, id){
+    var base = r.base;
+    while (base && !(base.declaredMethods && base.declaredMethods.hasOwnProperty(id)))
+        base = base.base;
+    return base ? base.declaredMethods[id] : undefined;
+}
+
+function recordModule(r){
+    return r.scope instanceof Scope.Module ? r.scope.symbol : undefined;
+}
+
+// instance of generic record is declared by its generic record
+function genericRecord(r){
+    return r instanceof EberonRecord.Record && r.generic ? r.generic : r;
+}
+
+function typeParameters(params){
+    return params.length ? "<" + params.map(function(p){return p.name;}).join(", ") + ">" : "";
+}
+
+/*
+    Generates TypeScript declarations for the exported symbols of compiled module.
+    'importPath(name)' gives the path another module is imported by.
+*/
+var Generator = Class.extend({
+    init: function TsDeclarations$Generator(moduleName, importPath){
+        this.__moduleName = moduleName;
+        this.__importPath = importPath;
+        this.__classes = {};
+        this.__modules = [];
+        this.__records = [];
+        this.__declarations = [];
+        this.__exportList = [];
+    },
+    generate: function(exports){
+        this.__classes = exportedClasses(exports);
+        for(var id in exports)
+            this.__symbol(exports[id]);
+
+        var result = "";
+        for(var i = 0; i < this.__modules.length; ++i){
+            var m = this.__modules[i];
+            result += "import * as $" + m + " from \"" + this.__importPath(m) + "\";\n";
+        }
+        result += this.__declarations.join("");
+        // empty list is still needed to make the declarations file a module
+        return result + "export {" + this.__exportList.join(", ") + "};\n";
+    },
+    __symbol: function(s){
+        var info = s.info();
+        var id = s.id();
+        if (info instanceof TypeId.Type)
+            this.__typeDeclaration(s, info.type());
+        else if (info instanceof Types.Const)
+            this.__declare(id, Code.exportId(s), function(name){
+                return "declare const " + name + ": " + this.__type(info.type) + ";\n";
+            });
+        else if (info instanceof Types.Variable)
+            // exported variables are getters
+            this.__declare(id, Code.exportId(s), function(name){
+                return "declare function " + name + "(): " + this.__type(info.type()) + ";\n";
+            });
+        else if (info instanceof Procedure.Id)
+            this.__declare(id, Code.exportId(s), function(name){
+                return "declare function " + name + this.__signature(info.type) + ";\n";
+            });
+    },
+    __typeDeclaration: function(s, t){
+        var id = s.id();
+        var r = t instanceof Record.Pointer ? Record.pointerBase(t) : t;
+        if (r instanceof Record.Type){
+            var name = this.__className(genericRecord(r));
+            var exportId = this.__classes[r.cons];
+            // export the class under the name it is exported in JS
+            if (Code.genExport(s) && Code.exportId(s) == exportId){
+                var item = name == exportId ? name : name + " as " + exportId;
+                if (this.__exportList.indexOf(item) == -1)
+                    this.__exportList.push(item);
+            }
+            if (id == exportId || (t == r && id == name))
+                return;
+        }
+        if (t instanceof EberonInterface.Type && t.name == id){
+            this.__interfaceName(t);
+            return;
+        }
+        if (t instanceof EberonEnum.Type && t.name == id){
+            this.__enumName(t);
+            // name table
+            this.__declare(id, Code.exportId(s), function(name){
+                return "declare const " + name + ": string[];\n";
+            });
+            return;
+        }
+        if (t instanceof EberonGeneric.ProcType)
+            this.__declare(id, id, function(name){
+                return "type " + name + typeParameters(t.params) + " = " + this.__type(t.type) + ";\n";
+            });
+        else
+            this.__declare(id, id, function(name){
+                return "type " + name + " = " + this.__type(t) + ";\n";
+            });
+    },
+    __declare: function(id, exportId, declaration){
+        var name = CodeGenerator.mangleId(id);
+        var code = declaration.call(this, name);
+        if (name == exportId)
+            code = "export " + code;
+        else
+            this.__exportList.push(name + " as " + exportId);
+        this.__declarations.push(code);
+    },
+    __type: function(t){
+        var basic = basicTypeName(t);
+        if (basic)
+            return basic;
+        if (t instanceof Record.Type)
+            return this.__recordName(t);
+        if (t instanceof Record.Pointer)
+            return this.__recordName(Record.pointerBase(t)) + " | null";
+        if (t instanceof EberonInterface.Type)
+            return this.__interfaceName(t) + " | null";
+        if (t instanceof EberonEnum.Type)
+            return this.__enumName(t);
+        if (t instanceof EberonGeneric.Parameter)
+            return t.name;
+        if (t instanceof EberonMap.Type)
+            return "{[key: " + (t.keyType ? "number" : "string") + "]: " + this.__type(t.elementsType) + "}";
+        if (isCharArray(t) && !(t instanceof EberonDynamicArray.DynamicArray))
+            return "Uint16Array";
+        if (t instanceof Types.Array)
+            return this.__elementsType(t.elementsType) + "[]";
+        if (t instanceof Procedure.Defined)
+            return "(" + this.__signature(t, " =>") + ") | null";
+        return "unknown";
+    },
+    __elementsType: function(t){
+        var result = this.__type(t);
+        return result.indexOf(" ") == -1 ? result : "(" + result + ")";
+    },
+    __argType: function(a){
+        var t = a.type;
+        if (a.isVar && t.isScalar())
+            return refType(this.__type(t));
+        // string literal can be passed as ARRAY OF CHAR
+        if (!a.isVar && t instanceof Types.OpenArray && isCharArray(t))
+            return "string | Uint16Array";
+        return this.__type(t);
+    },
+    // parameters are named as formal parameters if the names are known
+    __args: function(p){
+        return "(" + p.args().map(function(a, i){
+            return (a.name ? CodeGenerator.mangleId(a.name) : "p" + i) + ": " + this.__argType(a);
+        }, this).join(", ") + ")";
+    },
+    __signature: function(p, resultSeparator){
+        var result = p.result();
+        return this.__args(p) + (resultSeparator || ":") + " " + (result ? this.__type(result) : "void");
+    },
+    // generic record (or its instance) is referenced with type arguments
+    __recordName: function(r){
+        var generic = genericRecord(r);
+        var name = this.__className(generic);
+        if (generic != r)
+            return name + "<" + r.typeArguments.map(this.__type, this).join(", ") + ">";
+        if (r instanceof EberonGeneric.Record)
+            return name + typeParameters(r.params);
+        return name;
+    },
+    __className: function(r){
+        var module = recordModule(r);
+        if (!module)
+            return "object";
+
+        var moduleName = module.id();
+        if (moduleName != this.__moduleName){
+            if (this.__modules.indexOf(moduleName) == -1)
+                this.__modules.push(moduleName);
+            var classes = exportedClasses(module.info().exports);
+            return "$" + moduleName + "." + (classes.hasOwnProperty(r.cons) ? classes[r.cons] : r.cons);
+        }
+
+        if (this.__records.indexOf(r) == -1){
+            this.__records.push(r);
+            this.__declarations.push(this.__record(r));
+        }
+        return r.cons;
+    },
+    // interface is declared in its module under its own name
+    __interfaceName: function(i){
+        var moduleName = recordModule(i).id();
+        if (moduleName != this.__moduleName){
+            if (this.__modules.indexOf(moduleName) == -1)
+                this.__modules.push(moduleName);
+            return "$" + moduleName + "." + i.name;
+        }
+
+        if (this.__records.indexOf(i) == -1){
+            this.__records.push(i);
+            var members = [];
+            for(var m in i.methods)
+                members.push("    " + m + this.__signature(i.methods[m].type().procType()) + ";\n");
+            this.__declarations.push("export interface " + i.name + " {\n" + members.join("") + "}\n");
+        }
+        return i.name;
+    },
+    // enumeration values are numbers: the type is declared in its module under its own name
+    __enumName: function(e){
+        var moduleName = recordModule(e).id();
+        if (moduleName != this.__moduleName){
+            if (this.__modules.indexOf(moduleName) == -1)
+                this.__modules.push(moduleName);
+            return "$" + moduleName + "." + e.name;
+        }
+
+        if (this.__records.indexOf(e) == -1){
+            this.__records.push(e);
+            this.__declarations.push("export type " + e.name + " = number;\n");
+        }
+        return e.name;
+    },
+    /*
+        Records exported as JS classes are declared as classes, other records (visible only
+        as types of exported symbols) are declared as interfaces.
+    */
+    __record: function(r){
+        var isClass = this.__classes.hasOwnProperty(r.cons);
+        var name = r.cons + (r instanceof EberonGeneric.Record ? typeParameters(r.params) : "");
+        // predefined base record (EXCEPTION) has no declaration to extend, its fields are declared in place
+        var predefinedBase = r.base && !recordModule(r.base) ? r.base : undefined;
+        var base = r.base && !predefinedBase ? this.__recordName(r.base) : undefined;
+        var baseIsClass = base && (recordModule(r.base) != recordModule(r)
+                                || this.__classes.hasOwnProperty(r.base.cons));
+        var abstract = r instanceof EberonRecord.Record && r.abstractMethods.length;
+
+        var members = [];
+        var cons = r instanceof EberonRecord.Record ? r : undefined;
+        if (cons && !cons.customConstructor && predefinedBase)
+            cons = predefinedBase;
+        if (isClass && cons && cons.customConstructor)
+            members.push((cons.customConstructorExported ? "" : "protected ")
+                       + "constructor" + this.__args(cons.customConstructor) + ";");
+        var fieldsOf = predefinedBase ? [predefinedBase, r] : [r];
+        for(var i = 0; i < fieldsOf.length; ++i)
+            for(var id in fieldsOf[i].fields){
+                var f = fieldsOf[i].fields[id];
+                var identdef = f.identdef();
+                var readOnly = identdef instanceof EberonContext.IdentdefInfo && identdef.isReadOnly();
+                members.push((readOnly ? "readonly " : "") + Record.mangleField(id) + ": " + this.__type(f.type()) + ";");
+            }
+        if (r instanceof EberonRecord.Record){
+            for(var m in r.declaredMethods){
+                var isAbstract = isClass && r.abstractMethods.indexOf(m) != -1;
+                members.push((isAbstract ? "abstract " : "") + m
+                           + this.__signature(r.declaredMethods[m].type().procType()) + ";");
+            }
+            // overridden methods: TS requires implementations of abstract methods to be declared
+            for(var j = 0; j < r.definedMethods.length; ++j){
+                var defined = r.definedMethods[j];
+                var method = r.declaredMethods.hasOwnProperty(defined) ? undefined : findBaseMethod(r, defined);
+                if (method)
+                    members.push(defined + this.__signature(method.type().procType()) + ";");
+            }
+        }
+
+        var body = " {\n" + members.map(function(m){return "    " + m + "\n";}).join("") + "}\n";
+        var result = "";
+        if (isClass){
+            if (base && !baseIsClass){
+                // class cannot extend interface, merge with interface instead
+                result += "interface " + name + " extends " + base + " {}\n";
+                base = undefined;
+            }
+            result += "declare " + (abstract ? "abstract " : "") + "class " + name;
+        }
+        else
+            result += "export interface " + name;
+        if (base)
+            result += " extends " + base;
+        return result + body;
+    }
+});
+
+function generate(symbol, importPath){
+    return new Generator(symbol.id(), importPath).generate(symbol.info().exports);
+}
+
+exports.generate = generate;
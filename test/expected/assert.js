@@ -1,4 +1,5 @@
 <rtl code>
 var m = function (){
-RTL$.assert(true);
+RTL$.assert(true, "m", 4);
+RTL$.assert(true, "m", 5, 123);
 }();
\ No newline at end of file
@@ -0,0 +1,45 @@
+(function(global){
+var imports = {};
+function require(module){return imports[module.replace(/^.*\//, "").replace(/\.js$/, "")];}
+<rtl code>
+imports["m1"] = {};
+(function module$m1(exports){
+var $scope = "m1";
+function Base(){
+	this.i = 0;
+}
+Base.prototype.$scope = $scope;
+function T(){
+	Base.call(this);
+}
+RTL$.extend(T, Base, $scope);
+var i = 0;
+
+function make(){
+	var result = null;
+	result = new T();
+	result.i = 123;
+	return result;
+}
+i = 1;
+exports.Base = Base;
+exports.T = T;
+exports.i = function(){return i;};
+exports.make = make;
+})(imports["m1"]);
+imports["m2"] = {};
+(function module$m2(exports){
+var m1 = require("m1.js");
+var p = null;
+p = m1.make();
+RTL$.assert(p instanceof m1.T, "m2", 29);
+RTL$.assert(RTL$.typeGuard(p, m1.T).i == 123, "m2", 30);
+RTL$.assert(m1.i() == 1, "m2", 31);
+})(imports["m2"]);
+imports["m3"] = {};
+(function module$m3(exports){
+var m1 = require("m2.js");
+var m2 = require("m1.js");
+RTL$.assert(m2.i() == 1, "m3", 37);
+})(imports["m3"]);
+})(typeof globalThis != "undefined" ? globalThis : this);
@@ -0,0 +1,718 @@
+(function(global){
+var imports = {};
+function require(module){return imports[module.replace(/^.*\//, "").replace(/\.js$/, "")];}
+<rtl code>
+imports["In"] = {};
+(function module$In(exports){
+var JS = global;
+var quote = "\"";
+var Done = false;
+var opened = false;
+var fs = undefined;var decoder = undefined;var bytes = undefined;
+var sleepCell = undefined;
+var buffer = undefined;
+var pos = 0;var length = 0;
+var eof = false;
+
+function readChunk(){
+	var result = 0;
+	if (!opened){
+		fs = JS.process.getBuiltinModule ? JS.process.getBuiltinModule('fs') : require('fs');
+		decoder = new JS.TextDecoder(); bytes = new JS.Uint8Array(4096);
+		sleepCell = new JS.Int32Array(new JS.SharedArrayBuffer(4));
+		opened = true;
+	}
+	for (;;) {try {result = fs.readSync(0, bytes, 0, bytes.length, null); break;} catch (e) {if (e.code == 'EOF') break; if (e.code != 'EAGAIN') throw e; JS.Atomics.wait(sleepCell, 0, 0, 10);}};
+	return result;
+}
+
+function available(){
+	var n = 0;
+	while (true){
+		if (pos == length && !eof){
+			n = readChunk();
+			if (n == 0){
+				eof = true;
+			}
+			else {
+				buffer = decoder.decode(bytes.subarray(0, n), {stream: true}); length = buffer.length;
+				pos = 0;
+			}
+		} else break;
+	}
+	return pos < length;
+}
+
+function peek(){
+	var result = 0;
+	if (available()){
+		result = buffer.charCodeAt(pos);
+	}
+	return result;
+}
+
+function skipBlanks(){
+	while (true){
+		if (available() && peek() <= 32){
+			++pos;
+		} else break;
+	}
+}
+
+function isDigit(c/*CHAR*/){
+	return c >= 48 && c <= 57;
+}
+
+function store(c/*CHAR*/, s/*VAR ARRAY OF CHAR*/, n/*VAR INTEGER*/){
+	if (n.get() < (s.length - 1 | 0)){
+		s[n.get()] = c;
+		n.set(n.get() + 1 | 0);
+	}
+}
+
+function terminate(s/*VAR ARRAY OF CHAR*/, n/*INTEGER*/){
+	if (n < s.length){
+		s[n] = 0;
+	}
+}
+
+function Open(){
+	Done = true;
+}
+
+function Char(ch/*VAR CHAR*/){
+	Done = available();
+	if (Done){
+		ch.set(peek());
+		++pos;
+	}
+}
+
+function Int(i/*VAR INTEGER*/){
+	var negative = false;var decimal = false;
+	var dec = 0;var hex = 0;var d = 0;
+	var c = 0;
+	skipBlanks();
+	c = peek();
+	negative = c == 45;
+	if (negative || c == 43){
+		++pos;
+		c = peek();
+	}
+	Done = isDigit(c);
+	if (Done){
+		dec = 0;
+		hex = 0;
+		decimal = true;
+		while (true){
+			if (isDigit(c) || c >= 65 && c <= 70){
+				if (isDigit(c)){
+					d = c - 48 | 0;
+				}
+				else {
+					d = (c - 65 | 0) + 10 | 0;
+					decimal = false;
+				}
+				dec = (dec * 10 | 0) + d | 0;
+				hex = (hex * 16 | 0) + d | 0;
+				++pos;
+				c = peek();
+			} else break;
+		}
+		if (c == 72){
+			++pos;
+			i.set(hex);
+		}
+		else {
+			Done = decimal;
+			i.set(dec);
+		}
+		if (negative){
+			i.set(-i.get() | 0);
+		}
+	}
+}
+
+function Real(x/*VAR REAL*/){
+	var token = undefined;
+	var c = 0;var prev = 0;
+	var result = 0;
+	var valid = false;
+	skipBlanks();
+	token = '';
+	c = peek();
+	while (true){
+		if (isDigit(c) || c == 46 || c == 69 || c == 101 || (c == 43 || c == 45) && (prev == 0 || prev == 69 || prev == 101)){
+			token += JS.String.fromCharCode(c);
+			++pos;
+			prev = c;
+			c = peek();
+		} else break;
+	}
+	result = JS.Number(token); valid = token.length != 0 && !JS.isNaN(result);
+	Done = valid;
+	if (Done){
+		x.set(result);
+	}
+}
+
+function String(str/*VAR ARRAY OF CHAR*/){
+	var n = 0;
+	skipBlanks();
+	Done = peek() == 34;
+	if (Done){
+		++pos;
+		n = 0;
+		while (true){
+			if (available() && peek() != 34){
+				store(peek(), str, {set: function($v){n = $v;}, get: function(){return n;}});
+				++pos;
+			} else break;
+		}
+		Done = available();
+		if (Done){
+			++pos;
+		}
+		terminate(str, n);
+	}
+}
+
+function Name(name/*VAR ARRAY OF CHAR*/){
+	var n = 0;
+	skipBlanks();
+	Done = available();
+	n = 0;
+	while (true){
+		if (available() && peek() > 32){
+			store(peek(), name, {set: function($v){n = $v;}, get: function(){return n;}});
+			++pos;
+		} else break;
+	}
+	terminate(name, n);
+}
+
+function Line(line/*VAR ARRAY OF CHAR*/){
+	var n = 0;
+	Done = available();
+	n = 0;
+	while (true){
+		if (available() && peek() != 10){
+			if (peek() != 13){
+				store(peek(), line, {set: function($v){n = $v;}, get: function(){return n;}});
+			}
+			++pos;
+		} else break;
+	}
+	if (available()){
+		++pos;
+	}
+	terminate(line, n);
+}
+Done = true;
+exports.Done = function(){return Done;};
+exports.Open = Open;
+exports.Char = Char;
+exports.Int = Int;
+exports.Real = Real;
+exports.String = String;
+exports.Name = Name;
+exports.Line = Line;
+})(imports["In"]);
+imports["Out"] = {};
+(function module$Out(exports){
+var JS = global;
+var line = undefined;
+
+function write(s/*JS.var*/){
+	if (typeof JS.process != 'undefined' && JS.process.stdout) JS.process.stdout.write(s); else line += s;
+}
+
+function writeAligned(s/*JS.var*/, n/*INTEGER*/){
+	var len = 0;
+	var spaces = undefined;
+	len = s.length; spaces = '';
+	while (true){
+		if (len < n){
+			spaces += ' ';
+			++len;
+		} else break;
+	}
+	write(spaces + s);
+}
+
+function Open(){
+}
+
+function Char(ch/*CHAR*/){
+	write(JS.String.fromCharCode(ch));
+}
+
+function String(s/*ARRAY OF CHAR*/){
+	var i = 0;
+	var result = undefined;
+	result = '';
+	i = 0;
+	while (true){
+		if (i < s.length && s.charCodeAt(i) != 0){
+			result += JS.String.fromCharCode(s.charCodeAt(i));
+			++i;
+		} else break;
+	}
+	write(result);
+}
+
+function Int(i/*INTEGER*/, n/*INTEGER*/){
+	var s = undefined;
+	s = '' + i;
+	writeAligned(s, n);
+}
+
+function Hex(i/*INTEGER*/){
+	var s = undefined;
+	s = (i >>> 0).toString(16).toUpperCase();
+	writeAligned(s, 9);
+}
+
+function Real(x/*REAL*/, n/*INTEGER*/){
+	var s = undefined;
+	s = '' + x;
+	writeAligned(s, n);
+}
+
+function LongReal(x/*REAL*/, n/*INTEGER*/){
+	Real(x, n);
+}
+
+function Ln(){
+	if (typeof JS.process != 'undefined' && JS.process.stdout) JS.process.stdout.write('\n'); else {JS.console.log(line); line = '';};
+}
+line = '';
+exports.Open = Open;
+exports.Char = Char;
+exports.String = String;
+exports.Int = Int;
+exports.Hex = Hex;
+exports.Real = Real;
+exports.LongReal = LongReal;
+exports.Ln = Ln;
+})(imports["Out"]);
+imports["Strings"] = {};
+(function module$Strings(exports){
+
+function Length(s/*ARRAY OF CHAR*/){
+	var result = 0;
+	result = 0;
+	while (true){
+		if (result < s.length && s.charCodeAt(result) != 0){
+			++result;
+		} else break;
+	}
+	return result;
+}
+
+function Insert(source/*ARRAY OF CHAR*/, pos/*INTEGER*/, dest/*VAR ARRAY OF CHAR*/){
+	var n = 0;var at = 0;var last = 0;var i = 0;
+	n = Length(source);
+	last = Length(dest);
+	at = pos;
+	if (at < 0){
+		at = 0;
+	}
+	else if (at > last){
+		at = last;
+	}
+	last += n;
+	if (last > (dest.length - 1 | 0)){
+		last = dest.length - 1 | 0;
+	}
+	i = last - 1 | 0;
+	while (true){
+		if (i >= (at + n | 0)){
+			dest[i] = dest.charCodeAt(i - n | 0);
+			--i;
+		} else break;
+	}
+	i = 0;
+	while (true){
+		if (i < n && (at + i | 0) < last){
+			dest[at + i | 0] = source.charCodeAt(i);
+			++i;
+		} else break;
+	}
+	dest[last] = 0;
+}
+
+function Append(extra/*ARRAY OF CHAR*/, dest/*VAR ARRAY OF CHAR*/){
+	Insert(extra, Length(dest), dest);
+}
+
+function Delete(s/*VAR ARRAY OF CHAR*/, pos/*INTEGER*/, n/*INTEGER*/){
+	var len = 0;var count = 0;var i = 0;
+	len = Length(s);
+	if (pos >= 0 && pos < len && n > 0){
+		count = n;
+		if (count > (len - pos | 0)){
+			count = len - pos | 0;
+		}
+		for (i = pos + count | 0; i <= len - 1 | 0; ++i){
+			s[i - count | 0] = s.charCodeAt(i);
+		}
+		s[len - count | 0] = 0;
+	}
+}
+
+function Replace(source/*ARRAY OF CHAR*/, pos/*INTEGER*/, dest/*VAR ARRAY OF CHAR*/){
+	Delete(dest, pos, Length(source));
+	Insert(source, pos, dest);
+}
+
+function Extract(source/*ARRAY OF CHAR*/, pos/*INTEGER*/, n/*INTEGER*/, dest/*VAR ARRAY OF CHAR*/){
+	var from = 0;var count = 0;var i = 0;
+	from = pos;
+	if (from < 0){
+		from = 0;
+	}
+	count = Length(source) - from | 0;
+	if (count > n){
+		count = n;
+	}
+	if (count > (dest.length - 1 | 0)){
+		count = dest.length - 1 | 0;
+	}
+	i = 0;
+	while (true){
+		if (i < count){
+			dest[i] = source.charCodeAt(from + i | 0);
+			++i;
+		} else break;
+	}
+	dest[i] = 0;
+}
+
+function Pos(pattern/*ARRAY OF CHAR*/, s/*ARRAY OF CHAR*/, pos/*INTEGER*/){
+	var n = 0;var len = 0;var at = 0;var i = 0;var result = 0;
+	n = Length(pattern);
+	len = Length(s);
+	result = -1;
+	at = pos;
+	if (at < 0){
+		at = 0;
+	}
+	while (true){
+		if (result == -1 && (at + n | 0) <= len){
+			i = 0;
+			while (true){
+				if (i < n && pattern.charCodeAt(i) == s.charCodeAt(at + i | 0)){
+					++i;
+				} else break;
+			}
+			if (i == n){
+				result = at;
+			}
+			++at;
+		} else break;
+	}
+	return result;
+}
+
+function Cap(s/*VAR ARRAY OF CHAR*/){
+	var i = 0;
+	i = 0;
+	while (true){
+		if (i < s.length && s.charCodeAt(i) != 0){
+			if (s.charCodeAt(i) >= 97 && s.charCodeAt(i) <= 122){
+				s[i] = (s.charCodeAt(i) - 97 | 0) + 65 | 0;
+			}
+			++i;
+		} else break;
+	}
+}
+exports.Length = Length;
+exports.Insert = Insert;
+exports.Append = Append;
+exports.Delete = Delete;
+exports.Replace = Replace;
+exports.Extract = Extract;
+exports.Pos = Pos;
+exports.Cap = Cap;
+})(imports["Strings"]);
+imports["Math"] = {};
+(function module$Math(exports){
+var JS = global;
+var pi = 3.141592653589793;
+var e = 2.718281828459045;
+
+function sqrt(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.sqrt(x);
+	return result;
+}
+
+function power(x/*REAL*/, base/*REAL*/){
+	var result = 0;
+	result = JS.Math.pow(base, x);
+	return result;
+}
+
+function exp(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.exp(x);
+	return result;
+}
+
+function ln(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.log(x);
+	return result;
+}
+
+function log(x/*REAL*/, base/*REAL*/){
+	return ln(x) / ln(base);
+}
+
+function round(x/*REAL*/){
+	var result = 0;
+	result = x < 0 ? -JS.Math.round(-x) : JS.Math.round(x);
+	return result;
+}
+
+function sin(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.sin(x);
+	return result;
+}
+
+function cos(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.cos(x);
+	return result;
+}
+
+function tan(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.tan(x);
+	return result;
+}
+
+function arcsin(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.asin(x);
+	return result;
+}
+
+function arccos(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.acos(x);
+	return result;
+}
+
+function arctan(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.atan(x);
+	return result;
+}
+
+function arctan2(xn/*REAL*/, xd/*REAL*/){
+	var result = 0;
+	result = JS.Math.atan2(xn, xd);
+	return result;
+}
+
+function sinh(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.sinh(x);
+	return result;
+}
+
+function cosh(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.cosh(x);
+	return result;
+}
+
+function tanh(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.tanh(x);
+	return result;
+}
+
+function arcsinh(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.asinh(x);
+	return result;
+}
+
+function arccosh(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.acosh(x);
+	return result;
+}
+
+function arctanh(x/*REAL*/){
+	var result = 0;
+	result = JS.Math.atanh(x);
+	return result;
+}
+exports.pi = pi;
+exports.e = e;
+exports.sqrt = sqrt;
+exports.power = power;
+exports.exp = exp;
+exports.ln = ln;
+exports.log = log;
+exports.round = round;
+exports.sin = sin;
+exports.cos = cos;
+exports.tan = tan;
+exports.arcsin = arcsin;
+exports.arccos = arccos;
+exports.arctan = arctan;
+exports.arctan2 = arctan2;
+exports.sinh = sinh;
+exports.cosh = cosh;
+exports.tanh = tanh;
+exports.arcsinh = arcsinh;
+exports.arccosh = arccosh;
+exports.arctanh = arctanh;
+})(imports["Math"]);
+imports["MathL"] = {};
+(function module$MathL(exports){
+var Math$ = require("Math.js");
+var pi = Math$.pi;
+var e = Math$.e;
+
+function sqrt(x/*REAL*/){
+	return Math$.sqrt(x);
+}
+
+function exp(x/*REAL*/){
+	return Math$.exp(x);
+}
+
+function ln(x/*REAL*/){
+	return Math$.ln(x);
+}
+
+function power(x/*REAL*/, base/*REAL*/){
+	return Math$.power(x, base);
+}
+
+function log(x/*REAL*/, base/*REAL*/){
+	return Math$.log(x, base);
+}
+
+function round(x/*REAL*/){
+	return Math$.round(x);
+}
+
+function sin(x/*REAL*/){
+	return Math$.sin(x);
+}
+
+function cos(x/*REAL*/){
+	return Math$.cos(x);
+}
+
+function tan(x/*REAL*/){
+	return Math$.tan(x);
+}
+
+function arcsin(x/*REAL*/){
+	return Math$.arcsin(x);
+}
+
+function arccos(x/*REAL*/){
+	return Math$.arccos(x);
+}
+
+function arctan(x/*REAL*/){
+	return Math$.arctan(x);
+}
+
+function arctan2(xn/*REAL*/, xd/*REAL*/){
+	return Math$.arctan2(xn, xd);
+}
+
+function sinh(x/*REAL*/){
+	return Math$.sinh(x);
+}
+
+function cosh(x/*REAL*/){
+	return Math$.cosh(x);
+}
+
+function tanh(x/*REAL*/){
+	return Math$.tanh(x);
+}
+
+function arcsinh(x/*REAL*/){
+	return Math$.arcsinh(x);
+}
+
+function arccosh(x/*REAL*/){
+	return Math$.arccosh(x);
+}
+
+function arctanh(x/*REAL*/){
+	return Math$.arctanh(x);
+}
+exports.pi = pi;
+exports.e = e;
+exports.sqrt = sqrt;
+exports.exp = exp;
+exports.ln = ln;
+exports.power = power;
+exports.log = log;
+exports.round = round;
+exports.sin = sin;
+exports.cos = cos;
+exports.tan = tan;
+exports.arcsin = arcsin;
+exports.arccos = arccos;
+exports.arctan = arctan;
+exports.arctan2 = arctan2;
+exports.sinh = sinh;
+exports.cosh = cosh;
+exports.tanh = tanh;
+exports.arcsinh = arcsinh;
+exports.arccosh = arccosh;
+exports.arctanh = arctanh;
+})(imports["MathL"]);
+imports["stdlib"] = {};
+(function module$stdlib(exports){
+var In = require("In.js");
+var Out = require("Out.js");
+var Strings = require("Strings.js");
+var Math$ = require("Math.js");
+var MathL = require("MathL.js");
+var s = RTL$.makeCharArray(8);
+var t = RTL$.makeCharArray(4);
+
+function expect(s/*ARRAY OF CHAR*/, expected/*ARRAY OF CHAR*/){
+	RTL$.assert(Strings.Length(s) == Strings.Length(expected) && Strings.Pos(expected, s, 0) == 0, "stdlib", 10);
+}
+In.Open();
+Out.Open();
+RTL$.assignArrayFromString(s, "abc");
+Strings.Append("def", s);
+expect(s, "abcdef");
+RTL$.assert(Strings.Length(s) == 6, "stdlib", 20);
+Strings.Insert("XYZ", 1, s);
+expect(s, "aXYZbcd");
+Strings.Delete(s, 1, 3);
+expect(s, "abcd");
+Strings.Replace("zz", 3, s);
+expect(s, "abczz");
+Strings.Extract(s, 1, 10, t);
+expect(t, "bcz");
+RTL$.assert(Strings.Pos("zz", s, 0) == 3, "stdlib", 29);
+RTL$.assert(Strings.Pos("zz", s, 4) == -1, "stdlib", 30);
+Strings.Cap(s);
+expect(s, "ABCZZ");
+RTL$.assert(Math$.sqrt(4) == 2, "stdlib", 34);
+RTL$.assert(Math$.power(3, 2) == 8, "stdlib", 35);
+RTL$.assert(Math$.round(-2.5) == -3, "stdlib", 36);
+RTL$.assert(Math$.arctan2(1, 1) == Math$.pi / 4, "stdlib", 37);
+RTL$.assert(MathL.ln(MathL.e) == 1, "stdlib", 38);
+})(imports["stdlib"]);
+})(typeof globalThis != "undefined" ? globalThis : this);
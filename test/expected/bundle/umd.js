@@ -0,0 +1,29 @@
+(function(root, factory){
+    if (typeof define == "function" && define.amd)
+        define([], function(){return factory(root);});
+    else if (typeof module == "object" && module.exports)
+        module.exports = factory(root);
+    else
+        root["m"] = factory(root);
+})(typeof globalThis != "undefined" ? globalThis : this, function(global){
+var imports = {};
+function require(module){return imports[module.replace(/^.*\//, "").replace(/\.js$/, "")];}
+<rtl code>
+imports["m1"] = {};
+(function module$m1(exports){
+var i = 0;
+i = 1;
+exports.i = function(){return i;};
+})(imports["m1"]);
+imports["m2"] = {};
+(function module$m2(exports){
+var m1 = require("m1.js");
+
+function get(){
+	return m1.i() + 1 | 0;
+}
+exports.get = get;
+})(imports["m2"]);
+return imports["m2"];
+});
+//# sourceMappingURL=umd.js.map
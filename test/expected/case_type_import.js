@@ -23,6 +23,6 @@ function isDerived(b/*VAR Base*/){
 	}
 	return result;
 }
-RTL$.assert(!isDerived(b));
-RTL$.assert(isDerived(d));
+RTL$.assert(!isDerived(b), "m2", 29);
+RTL$.assert(isDerived(d), "m2", 30);
 }(m1);
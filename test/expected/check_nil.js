@@ -0,0 +1,55 @@
+<rtl code>
+var m = function (){
+function R(){
+	this.i = 0;
+	this.next = null;
+	this.proc = null;
+}
+function Derived(){
+	R.call(this);
+	this.b = false;
+}
+RTL$.extend(Derived, R);
+var p = null;
+var d = null;
+var a = RTL$.makeArray(3, null);
+var r = new R();
+var proc = null;
+var i = 0;
+
+function int(i/*INTEGER*/){
+	return i;
+}
+
+function varPointer(p/*VAR P*/){
+	RTL$.checkNil(p.get(), "p", "m", 30).i = RTL$.checkNil(RTL$.checkNil(p.get(), "p", "m", 30).next, "p^.next", "m", 30).i;
+}
+
+function noArgs(){
+}
+
+function statementCall(p/*Proc*/){
+	RTL$.checkProcNil(p, "p", "m", 38)();
+	RTL$.checkProcNil(p, "p", "m", 39)();
+	noArgs();
+}
+p = new R();
+RTL$.checkNil(p, "p", "m", 45).next = new R();
+RTL$.checkNil(p, "p", "m", 46).i = 1;
+RTL$.checkNil(p, "p", "m", 47).i = RTL$.checkNil(RTL$.checkNil(p, "p", "m", 47).next, "p.next", "m", 47).i;
+i = RTL$.checkNil(RTL$.checkNil(p, "p", "m", 48).next, "p.next", "m", 48).i;
+varPointer({set: function($v){p = $v;}, get: function(){return p;}});
+d = null;
+p = d;
+if (p != null && p instanceof Derived){
+	RTL$.checkNil(RTL$.typeGuard(p, Derived), "p(PDerived)", "m", 53).b = true;
+}
+a[1] = p;
+i = RTL$.checkNil(a[1], "a[...]", "m", 56).i;
+proc = int;
+i = RTL$.checkProcNil(proc, "proc", "m", 58)(i);
+r.proc = int;
+i = RTL$.checkProcNil(r.proc, "r.proc", "m", 60)(i) + RTL$.checkProcNil(RTL$.checkNil(p, "p", "m", 60).proc, "p.proc", "m", 60)(i) | 0;
+i = int(i);
+statementCall(noArgs);
+}();
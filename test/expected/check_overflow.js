@@ -0,0 +1,58 @@
+<rtl code>
+var m = function (){
+var c1 = (2147483647 - 1 | 0) + 1 | 0;
+var c2 = -1 * 2 | 0;
+var c3 = -1073741823;
+var i1 = 0;var i2 = 0;
+var b1 = 0;var b2 = 0;
+var r1 = 0;var r2 = 0;
+
+function incDec(i/*VAR INTEGER*/){
+	i.set(RTL$.addInt(i.get(), 1));
+	i.set(RTL$.subInt(i.get(), 2));
+}
+i1 = 1;
+i2 = 2;
+i1 = RTL$.addInt(i1, i2);
+i1 = RTL$.subInt(i1, i2);
+i1 = RTL$.mulInt(i1, i2);
+i1 = RTL$.divInt(i1, i2);
+i1 = i1 % i2;
+i1 = RTL$.addInt(1, RTL$.mulInt(i1, i2));
+i1 = RTL$.negateInt(i2);
+i1 = RTL$.negateInt(RTL$.negateInt(i2));
+i1 = 1;
+i1 = i2;
+i1 = i2;
+i1 = 1;
+b1 = 1 & 0xFF;
+b1 = 255 & 0xFF;
+b1 = b2;
+b1 = RTL$.toByte(RTL$.negateInt(b2));
+b1 = b2;
+b1 = RTL$.toByte(RTL$.addInt(b1, b2));
+b1 = RTL$.toByte(RTL$.subInt(b1, b2));
+b1 = RTL$.toByte(RTL$.mulInt(b1, b2));
+b1 = RTL$.toByte(RTL$.divInt(b1, b2));
+b1 = b1 % b2;
+i1 = b1;
+b1 = RTL$.toByte(i1);
+i1 = RTL$.negateInt(b1);
+b1 = RTL$.toByte(RTL$.negateInt(i1));
+i1 = RTL$.addInt(i2, b1);
+i1 = RTL$.subInt(b1, i2);
+i1 = RTL$.mulInt(i2, b1);
+i1 = RTL$.divInt(b1, i2);
+b1 = RTL$.toByte(i1 % b2);
+b1 = b1 % i1;
+b1 = RTL$.toByte(i1 % i2);
+i1 = RTL$.addInt(i1, 1);
+i1 = RTL$.subInt(i1, i2);
+incDec({set: function($v){i1 = $v;}, get: function(){return i1;}});
+r1 = 1;
+r2 = 2;
+r1 = r1 + r2;
+r1 = r1 - r2;
+r1 = r1 * r2;
+r1 = r1 / r2;
+}();
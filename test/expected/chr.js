@@ -4,5 +4,5 @@ var ch = 0;
 var i = 0;
 i = 65;
 ch = i;
-RTL$.assert(97 == 97);
+RTL$.assert(97 == 97, "m", 8);
 }();
\ No newline at end of file
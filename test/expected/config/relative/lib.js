@@ -0,0 +1,4 @@
+var c = 1;
+var i = 0;
+exports.c = c;
+exports.i = function(){return i;};
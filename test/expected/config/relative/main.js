@@ -0,0 +1,3 @@
+var lib = require("js/lib.js");
+var i = 0;
+i = lib.i() + lib.c | 0;
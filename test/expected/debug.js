@@ -0,0 +1,84 @@
+<rtl code>
+var m = function (){
+function P(){
+	this.i = 0;
+}
+var a = RTL$.makeArray(3, 0);
+var i = 0;
+
+function empty(){
+	var $frame = RTL$.enter("m.empty");
+	try {
+	}
+	finally {
+		RTL$.leave();
+	}
+}
+
+function returnOnly(){
+	var $frame = RTL$.enter("m.returnOnly");
+	try {
+		$frame.line = 15;
+		return a[1];
+	}
+	finally {
+		RTL$.leave();
+	}
+}
+
+function outer(n/*INTEGER*/){
+	var $frame = RTL$.enter("m.outer");
+	try {
+		var p = null;
+		var i = 0;
+		
+		function inner(p/*VAR P*/){
+			var $frame = RTL$.enter("m.outer.inner");
+			try {
+				$frame.line = 25;
+				p.set(new P());
+				$frame.line = 26;
+				p.get().i = i;
+			}
+			finally {
+				RTL$.leave();
+			}
+		}
+		$frame.line = 29;
+		i = n;
+		$frame.line = 30;
+		inner({set: function($v){p = $v;}, get: function(){return p;}});
+		$frame.line = 31;
+		if (p.i > 0){
+			$frame.line = 32;
+			++i;
+		}
+		else {
+			$frame.line = 34;
+			i = returnOnly();
+		}
+		$frame.line = 36;
+		return i + p.i | 0;
+	}
+	finally {
+		RTL$.leave();
+	}
+}
+var $frame = RTL$.enter("m");
+try {
+	$frame.line = 40;
+	empty();
+	$frame.line = 41;
+	i = outer(1);
+	$frame.line = 43;
+	while (true){
+		if (i > 0){
+			$frame.line = 44;
+			--i;
+		} else break;
+	}
+}
+finally {
+	RTL$.leave();
+}
+}();
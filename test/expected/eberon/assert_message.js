@@ -0,0 +1,11 @@
+<rtl code>
+var m = function (){
+var s = '';
+
+function check(i/*INTEGER*/){
+	RTL$.assert(i > 0, "m", 6, "positive value expected");
+	RTL$.assert(i < 10, "m", 7, s + "value is too big");
+	RTL$.assert(i != 5, "m", 8, i);
+}
+check(1);
+}();
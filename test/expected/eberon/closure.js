@@ -0,0 +1,40 @@
+var m = function (){
+var proc = null;
+var intProc = null;
+
+function call(p/*Proc*/){
+	p();
+}
+
+function makeCounter(){
+	var count = 0;
+	
+	function increment(){
+		++count;
+	}
+	return increment;
+}
+
+function makeAdder(n/*INTEGER*/){
+	return function(i/*INTEGER*/){
+		return i + n | 0;
+	};
+}
+
+function varParam(v/*VAR INTEGER*/){
+	
+	function inc(){
+		v.set(v.get() + 1 | 0);
+	}
+	inc();
+	call(function(){
+		var local = 0;
+		local = 1;
+	});
+}
+proc = makeCounter();
+intProc = makeAdder(1);
+call(function(){
+	proc();
+});
+}();
@@ -0,0 +1,76 @@
+<rtl code>
+var m = function (){
+RTL$.extend(Derived, T);
+function T(i/*INTEGER*/){
+	var $frame = RTL$.enter("m.T");
+	try {
+		this.i = i;
+	}
+	finally {
+		RTL$.leave();
+	}
+}
+T.prototype.method = function(){
+	var $frame = RTL$.enter("m.T.method");
+	try {
+		$frame.line = 21;
+		return this.i;
+	}
+	finally {
+		RTL$.leave();
+	}
+};
+T.prototype.nested = function(){
+	var $frame = RTL$.enter("m.T.nested");
+	try {
+		
+		function inner(){
+			var $frame = RTL$.enter("m.T.nested.inner");
+			try {
+				$frame.line = 26;
+				return 2;
+			}
+			finally {
+				RTL$.leave();
+			}
+		}
+		$frame.line = 28;
+		return function(){
+			var $frame = RTL$.enter("m.T.nested.<anonymous>");
+			try {
+				$frame.line = 29;
+				return inner();
+			}
+			finally {
+				RTL$.leave();
+			}
+		};
+	}
+	finally {
+		RTL$.leave();
+	}
+};
+function Derived(){
+	var $frame = RTL$.enter("m.Derived");
+	try {
+		T.call(this, 1);
+		$frame.line = 36;
+		this.i = this.method();
+	}
+	finally {
+		RTL$.leave();
+	}
+}
+var $frame = RTL$.enter("m");
+try {
+	$frame.line = 40;
+	var d = new Derived();
+	$frame.line = 41;
+	RTL$.assert(d.method() == 1, "m", 41);
+	$frame.line = 42;
+	RTL$.assert(d.nested()() == 2, "m", 42);
+}
+finally {
+	RTL$.leave();
+}
+}();
@@ -112,8 +112,8 @@ dynamicByte.push(byte);
 dynamicByte.push(i & 0xFF);
 dynamicRecord.push(RTL$.clone(r, {record: {a: {array: null}}}, T));
 dynamicArrayOfStaticArrayInt.push(a.slice());
-RTL$.assert(dynamicInt.indexOf(i) != -1);
-RTL$.assert(dynamicChar.indexOf(34) != -1);
+RTL$.assert(dynamicInt.indexOf(i) != -1, "m", 155);
+RTL$.assert(dynamicChar.indexOf(34) != -1, "m", 156);
 dynamicInt.splice(i, 1);
 dynamicInt.splice(0, Number.MAX_VALUE);
 passArrayBeRef(dynamicInt);
@@ -0,0 +1,59 @@
+<rtl code>
+var m = function (){
+var Color = ["red", "green", "blue"];
+var red = 0;
+var green = 1;
+var blue = 2;
+var Size = ["small", "large"];
+var small = 0;
+var large = 1;
+var c = 0;
+var counts = RTL$.makeArray(3, 0);
+var names = {};
+var s = 0;
+
+function next(c/*Color*/){
+	var result = 0;
+	if (c === 0){
+		result = green;
+	}
+	else if ((c >= 1 && c <= 2)){
+		result = blue;
+	}
+	return result;
+}
+
+function local(){
+	var Dir = ["up", "down"];
+	var up = 0;
+	var down = 1;
+	var d = 0;
+	d = down;
+	RTL$.assert(d > up, "m", 29);
+}
+c = next(red);
+RTL$.assert(c != blue && c >= green, "m", 34);
+for (var i = red; i <= blue; ++i){
+	counts[i] += i;
+}
+for (c = blue; c >= red; --c){
+	names[c] = "";
+}
+if (Object.prototype.hasOwnProperty.call(names, green)){
+	delete names[green];
+}
+var $seq1 = names;
+for(var $key2 in $seq1){
+	var k = +$key2;
+	var v = $seq1[$key2];
+	counts[k] = v.length;
+}
+s = large;
+RTL$.assert(s == 1, "m", 48);
+return {
+	Color: Color,
+	red: red,
+	green: green,
+	blue: blue
+}
+}();
@@ -6,7 +6,7 @@ function array(){
 	var $seq1 = a;
 	for(var i = 0; i < $seq1.length; ++i){
 		var v = $seq1[i];
-		RTL$.assert(a[i] == v);
+		RTL$.assert(a[i] == v, "test", 8);
 	}
 }
 
@@ -15,7 +15,7 @@ function arrayWithValueOnly(){
 	var $seq1 = a;
 	for(var $key2 = 0; $key2 < $seq1.length; ++$key2){
 		var v = $seq1[$key2];
-		RTL$.assert(!v);
+		RTL$.assert(!v, "test", 17);
 	}
 }
 
@@ -24,7 +24,7 @@ function mapWithValueOnly(){
 	var $seq1 = a;
 	for(var $key2 in $seq1){
 		var v = $seq1[$key2];
-		RTL$.assert(!v);
+		RTL$.assert(!v, "test", 26);
 	}
 }
 
@@ -33,12 +33,12 @@ function string(){
 	var $seq1 = s;
 	for(var i = 0; i < $seq1.length; ++i){
 		var c = $seq1.charCodeAt(i)
-		RTL$.assert(s.charCodeAt(i) == c);
+		RTL$.assert(s.charCodeAt(i) == c, "test", 35);
 	}
 	var $seq2 = s;
 	for(var $key3 = 0; $key3 < $seq2.length; ++$key3){
 		var c = $seq2.charCodeAt($key3)
-		RTL$.assert(c != 0);
+		RTL$.assert(c != 0, "test", 39);
 	}
 }
 
@@ -50,7 +50,7 @@ function literal(){
 	var $seq2 = "abc";
 	for(var $key3 = 0; $key3 < $seq2.length; ++$key3){
 		var c = $seq2.charCodeAt($key3)
-		RTL$.assert(c != 0);
+		RTL$.assert(c != 0, "test", 49);
 	}
 	var $seq4 = "\"";
 	for(var i = 0; i < $seq4.length; ++i){
@@ -0,0 +1,35 @@
+var m = function (){
+var box = null;
+var intNode = null;
+var pair = null;
+var mapper = null;
+function Box(value/*T*/){
+	this.value = value;
+}
+Box.prototype.get = function(){
+	return this.value;
+};
+function Node(value/*T*/){
+	this.value = value;
+	this.next = null;
+	this.children = [];
+}
+function Pair(key/*K*/, value/*V*/){
+	this.key = key;
+	this.value = value;
+}
+
+function increment(x/*INTEGER*/){
+	return x + 1 | 0;
+}
+intNode = new Node(1);
+intNode.next = new Node(intNode.value);
+intNode.children.push(2);
+pair = new Pair("abc", 1.5);
+mapper = increment;
+box = new Box("abc");
+intNode.value = mapper(box.get().length);
+return {
+	Box: Box
+}
+}();
@@ -17,10 +17,10 @@ var d2 = new Derived2();
 
 function handleMessage(msg/*VAR Message*/){
 	if (msg instanceof Derived1){
-		RTL$.assert(msg.derivedField1);
+		RTL$.assert(msg.derivedField1, "m", 15);
 	}
 	else if (msg instanceof Derived2){
-		RTL$.assert(msg.derivedField2);
+		RTL$.assert(msg.derivedField2, "m", 17);
 	}
 }
 handleMessage(d1);
@@ -65,7 +65,7 @@ var pb = pbVar;
 if (pb instanceof Derived){
 	pb.derivedField = 123;
 }
-RTL$.assert(!(pb instanceof Derived) || pb.derivedField == 123);
+RTL$.assert(!(pb instanceof Derived) || pb.derivedField == 123, "m", 105);
 for (var j = 0; j <= 10; ++j){
 }
 }();
@@ -0,0 +1,39 @@
+var RTL$ = require("test_rtl.js");
+var lib = require("lib.js");
+var $scope = "main";
+RTL$.extend(Derived, lib.Base, $scope);
+RTL$.implement(Derived, ["lib.Named"]);
+var c = new lib.Concrete();
+var p = null;
+var n = null;
+var color = 0;
+var i = 0;
+function Derived(){
+	lib.Base.call(this, 2);
+}
+Derived.prototype.abstract = function(){
+};
+Derived.prototype.method = function(){
+	return lib.Base.prototype.method.call(this) + 1 | 0;
+};
+Derived.prototype.name = function(){
+	return "derived";
+};
+var d = new Derived();
+i = (c.ro + c.method() | 0) + d.method() | 0;
+c.a.push(lib.s());
+c.m["a"] = i;
+p = new lib.Concrete();
+p.abstract();
+n = d;
+RTL$.assert(!RTL$.isImplemented(p, "lib.Named") && n.name() == "derived", "main", 37);
+n = new lib.Concrete();
+color = lib.green;
+RTL$.assert(color > lib.red && color == 1, "main", 40);
+RTL$.assert(!Object.prototype.hasOwnProperty.call(lib.byColor(), color), "main", 41);
+var $seq1 = lib.byColor();
+for(var $key2 in $seq1){
+	var k = +$key2;
+	var v = $seq1[$key2];
+	color = k;
+}
@@ -39,12 +39,12 @@ function recordVariables(a/*T*/, v/*VAR T*/){
 passArray(a1);
 passArray([1, 2, 3]);
 for (var i = 0; i <= a1.length; ++i){
-	RTL$.assert(a1[i] != 0);
+	RTL$.assert(a1[i] != 0, "m", 54);
 }
 var $seq1 = a1;
 for(var $key2 = 0; $key2 < $seq1.length; ++$key2){
 	var e = $seq1[$key2];
-	RTL$.assert(e != 0);
+	RTL$.assert(e != 0, "m", 58);
 }
-RTL$.assert(a5.indexOf("a") == 0);
+RTL$.assert(a5.indexOf("a") == 0, "m", 61);
 }();
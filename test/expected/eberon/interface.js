@@ -0,0 +1,44 @@
+<rtl code>
+var m = function (){
+RTL$.implement(Square, ["m.Shape", "m.Named"]);
+function Cube(){
+	Square.apply(this, arguments);
+}
+RTL$.extend(Cube, Square);
+var shape = null;
+var named = null;
+var square = null;
+function Square(side/*INTEGER*/){
+	this.side = side;
+}
+Square.prototype.area = function(){
+	return this.side * this.side | 0;
+};
+Square.prototype.name = function(){
+	return "square";
+};
+Cube.prototype.area = function(){
+	return Square.prototype.area.call(this) * 6 | 0;
+};
+
+function area(s/*Shape*/){
+	var result = 0;
+	if (s instanceof Cube){
+		result = s.side;
+	}
+	else if (RTL$.isImplemented(s, "m.Named")){
+		result = s.name().length;
+	}
+	return result;
+}
+square = new Square(2);
+shape = square;
+shape = new Cube(3);
+shape = null;
+RTL$.assert(shape != square, "m", 59);
+RTL$.assert(area(square) == 4, "m", 60);
+named = RTL$.interfaceGuard(shape, "m.Named");
+square = RTL$.typeGuard(shape, Square);
+RTL$.assert(RTL$.isImplemented(square, "m.Named"), "m", 63);
+RTL$.assert(shape.area() == named.name().length, "m", 64);
+}();
@@ -20,8 +20,8 @@ function ForEach(){
 	var $seq1 = m;
 	for(var k in $seq1){
 		var v = $seq1[k];
-		RTL$.assert(v == 0);
-		RTL$.assert(k != "");
+		RTL$.assert(v == 0, "test", 29);
+		RTL$.assert(k != "", "test", 30);
 	}
 }
 
@@ -110,17 +110,17 @@ function put(){
 
 function in$(){
 	var m = {};
-	RTL$.assert(!Object.prototype.hasOwnProperty.call(m, "abc"));
+	RTL$.assert(!Object.prototype.hasOwnProperty.call(m, "abc"), "test", 117);
 }
 
 function get(){
 	var m = {};
 	var s = '';
 	var a = RTL$.makeCharArray(3);
-	RTL$.assert(RTL$.getMappedValue(m, "a") == 1);
-	RTL$.assert(RTL$.getMappedValue(m, "abc") == 2);
-	RTL$.assert(RTL$.getMappedValue(m, s) == 3);
-	RTL$.assert(RTL$.getMappedValue(m, a) == 4);
+	RTL$.assert(RTL$.getMappedValue(m, "a") == 1, "test", 126);
+	RTL$.assert(RTL$.getMappedValue(m, "abc") == 2, "test", 127);
+	RTL$.assert(RTL$.getMappedValue(m, s) == 3, "test", 128);
+	RTL$.assert(RTL$.getMappedValue(m, a) == 4, "test", 129);
 }
 
 function remove(){
@@ -196,7 +196,7 @@ function cloneMapOfRecord(){
 
 function passByRef(m/*VAR MAP OF INTEGER*/){
 	m["abc"] = 123;
-	RTL$.assert(Object.prototype.hasOwnProperty.call(m, "abc"));
+	RTL$.assert(Object.prototype.hasOwnProperty.call(m, "abc"), "test", 216);
 }
 
 function passMapRecordElementByRef(r/*VAR T*/){
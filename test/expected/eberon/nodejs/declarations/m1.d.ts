@@ -0,0 +1,39 @@
+declare abstract class Base {
+    constructor(i: number);
+    readonly ro: number;
+    a: string[];
+    m: {[key: string]: Base};
+    method(i: {get(): number; set(v: number): void}, b: Base): boolean;
+    abstract abstract(s: string): void;
+}
+export type PBase = Base | null;
+export interface Shape {
+    area(): number;
+    scale(k: number): Shape | null;
+}
+declare class Concrete extends Base {
+    constructor();
+    area(): number;
+    scale(k: number): Shape | null;
+    abstract(s: string): void;
+}
+declare class HiddenConstructor {
+    protected constructor(i: number);
+}
+declare class Box<T> {
+    constructor(value: T);
+    get(): T;
+}
+export type PIntBox = Box<number> | null;
+export type Mapper<T> = ((x: T) => T) | null;
+declare class Failure {
+    constructor(p0: string);
+    readonly message: string;
+    code: number;
+}
+export type Color = number;
+export declare const Color: string[];
+export declare const red: Color;
+export declare const green: Color;
+export declare const blue: Color;
+export {Base, Concrete, HiddenConstructor, Box, Failure};
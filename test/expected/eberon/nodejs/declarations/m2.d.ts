@@ -0,0 +1,11 @@
+import * as $m1 from "./m1.js";
+declare class Derived extends $m1.Base {
+    constructor();
+    method2(): $m1.Base | null;
+    method3(b: $m1.Box<string>, f: ((x: string) => string) | null): void;
+    abstract(s: string): void;
+}
+export declare function shape(): $m1.Shape | null;
+export declare function color(): $m1.Color;
+export declare function byColor(): {[key: number]: string};
+export {Derived};
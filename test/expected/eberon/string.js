@@ -27,7 +27,7 @@ b = s1 > s2;
 b = s1 <= s2;
 b = s1 >= s2;
 p1(s);
-RTL$.assert(s.length == 0);
+RTL$.assert(s.length == 0, "m", 36);
 s = s + "abc";
 s = s + "\"";
 s = "abc" + s;
@@ -0,0 +1,71 @@
+<rtl code>
+var m = function (){
+RTL$.extend(Failure, RTL$.EXCEPTION);
+function Derived(){
+	Failure.apply(this, arguments);
+}
+RTL$.extend(Derived, Failure);
+var i = 0;
+var s = '';
+var pe = null;
+function Failure(code/*INTEGER*/){
+	RTL$.EXCEPTION.call(this, "error");
+	this.code = code;
+}
+
+function raise(){
+	RTL$.raise(new Derived(1));
+}
+
+function tryInProcedure(){
+	var result = 0;
+	try {
+		raise();
+	}
+	catch (e){
+		e = RTL$.catchException(e);
+		var $case1 = e;
+		if ($case1 instanceof Derived){
+			result = e.code;
+		}
+		else if ($case1 instanceof Failure){
+			result = -e.code | 0;
+		}
+		else RTL$.raise(e);
+	}
+	return result;
+}
+try {
+	i = 1;
+}
+catch (e){
+	e = RTL$.catchException(e);
+	var $case1 = e;
+	if ($case1 instanceof Failure){
+		i = e.code;
+	}
+	else if ($case1 instanceof RTL$.EXCEPTION){
+		s = e.message;
+	}
+	else RTL$.raise(e);
+}
+finally {
+	i = 0;
+}
+try {
+	try {
+		RTL$.raise(pe);
+	}
+	finally {
+		i = 2;
+	}
+}
+catch (e){
+	e = RTL$.catchException(e);
+	var $case2 = e;
+	if ($case2 instanceof Failure){
+		RTL$.raise(e);
+	}
+	else RTL$.raise(e);
+}
+}();
@@ -0,0 +1,47 @@
+var RTL$ = require("test_rtl.js");
+var lib = require("lib.js");
+var mid = require("mid.js");
+var $scope = "main";
+function Ext(){
+	mid.Derived.call(this);
+	this.e = 0;
+}
+RTL$.extend(Ext, mid.Derived, $scope);
+var r = new lib.T();
+var ext = new Ext();
+var p = null;
+var base = null;
+var a = RTL$.makeArray(3, 0);
+var i = 0;
+var real = 0;
+var set = 0;
+var s = RTL$.makeCharArray(4);
+var c = 0;
+var proc = null;
+var anonymous = null;
+var ne = null;
+
+function count(a/*VAR ARRAY OF INTEGER*/, p/*P*/){
+	return a.length + p.i | 0;
+}
+i = lib.i;
+real = lib.r;
+set = lib.s;
+RTL$.assignArrayFromString(s, lib.str);
+c = 97;
+r.i = mid.t().a[1].i;
+r.p = lib.v().p;
+r.p = lib.make(1);
+p = mid.p();
+base = p;
+if (base instanceof lib.T){
+	i = RTL$.typeGuard(base, lib.T).a[0].i;
+}
+ext.d = mid.d().i;
+ext.e = ext.d;
+proc = count;
+i = proc(a, p);
+lib.sum(a, {set: function($v){i = $v;}, get: function(){return i;}});
+anonymous = null;
+ne = lib.makeNotExported();
+RTL$.assert(ne != null, "main", 47);
@@ -0,0 +1,11 @@
+var $scope = "lib";
+function T(){
+	this.i = 0;
+}
+T.prototype.$scope = $scope;
+
+function p(r/*VAR T*/){
+	r.i = 2;
+}
+exports.T = T;
+exports.p = p;
@@ -0,0 +1,13 @@
+var $scope = "lib";
+var c = 123;
+function T(){
+	this.i = 0;
+}
+T.prototype.$scope = $scope;
+
+function p(r/*VAR T*/){
+	r.i = 1;
+}
+exports.c = c;
+exports.T = T;
+exports.p = p;
@@ -0,0 +1,3 @@
+var lib = require("lib.js");
+var r = new lib.T();
+lib.p(r);
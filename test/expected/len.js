@@ -15,7 +15,7 @@ function p2(a/*VAR ARRAY OF BOOLEAN*/){
 }
 i = p1(a1);
 i = p2(a2);
-RTL$.assert(a3.length == 20);
-RTL$.assert(s1.length == 1);
-RTL$.assert("abc".length == 3);
+RTL$.assert(a3.length == 20, "m", 23);
+RTL$.assert(s1.length == 1, "m", 24);
+RTL$.assert("abc".length == 3, "m", 25);
 }();
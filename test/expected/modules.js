@@ -86,7 +86,7 @@ function castToImportedPointer(p/*PBase*/){
 	var p2 = null;
 	if (p instanceof m1.ExportPointerOnly){
 		p2 = p;
-		RTL$.assert(RTL$.typeGuard(p2, m1.ExportPointerOnly) != null);
+		RTL$.assert(RTL$.typeGuard(p2, m1.ExportPointerOnly) != null, "m2", 72);
 	}
 }
 ptr = new m1.T();
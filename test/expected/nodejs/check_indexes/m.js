@@ -0,0 +1,4 @@
+var RTL$ = require("test_rtl.js");
+var a = RTL$.makeArray(3, 0);
+var i = 0;
+RTL$.putAt(a, i, RTL$.getAt(a, i + 1 | 0));
@@ -0,0 +1,29 @@
+export declare const i: number;
+export declare const r: number;
+export declare const b: boolean;
+export declare const s: string;
+declare class Base {
+    i: number;
+}
+declare class T extends Base {
+    next: T | null;
+    chars: Uint16Array;
+    reals: number[];
+    proc: ((a: string | Uint16Array) => number) | null;
+}
+export type PT = T | null;
+declare class Hidden extends Base {
+}
+export type PHidden = Hidden | null;
+declare class Anonymous {
+}
+export type Ints = number[];
+export declare function t(): T;
+export declare function ptr(): T | null;
+export interface anonymous$1 {
+    i: number;
+}
+export declare function anonymous(): anonymous$1;
+export declare function p(s: string | Uint16Array, i: {get(): number; set(v: number): void}, a: number[], t: T): Hidden | null;
+declare function constructor(): void;
+export {Base, T, Hidden, Anonymous, constructor as constructor$};
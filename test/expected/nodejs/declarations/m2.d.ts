@@ -0,0 +1,7 @@
+import * as $m1 from "./m1.js";
+declare class Derived extends $m1.T {
+}
+export declare function h(): $m1.Hidden | null;
+export declare function a(): $m1.Anonymous | null;
+export declare function p(t: $m1.T): $m1.T | null;
+export {Derived};
@@ -0,0 +1,20 @@
+var $scope = "m1";
+var ci = 123;
+function T(){
+	this.i = 0;
+}
+T.prototype.$scope = $scope;
+function ExportPointerOnly(){
+}
+ExportPointerOnly.prototype.$scope = $scope;
+var i = 0;
+var p = null;
+
+function proc(){
+}
+
+function constructor(){
+}
+var $i = function(){return i;};
+var $p = function(){return p;};
+export {ci, T, ExportPointerOnly, $i as i, $p as p, proc, constructor as constructor$};
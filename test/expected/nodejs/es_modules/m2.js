@@ -0,0 +1,10 @@
+import RTL$ from "./test_rtl.js";
+var JS = globalThis;
+import * as m1 from "./m1.js";
+var a = RTL$.makeArray(3, function(){return new m1.T();});
+var p = null;
+m1.proc();
+m1.constructor$();
+a[0].i = m1.i() + m1.ci | 0;
+RTL$.assert(m1.p() == null, "m2", 31);
+JS.console.log(a[0].i);
@@ -0,0 +1,19 @@
+var $foreign = require("./lib_impl.js");
+var $scope = "lib";
+var version = 1;
+function Point(){
+	this.x = 0;
+	this.y = 0;
+}
+Point.prototype.$scope = $scope;
+
+function init(){return $foreign.init.apply($foreign, arguments);}
+
+function distance(){return $foreign.distance.apply($foreign, arguments);}
+
+function clear(){return $foreign.clear.apply($foreign, arguments);}
+exports.version = version;
+exports.Point = Point;
+exports.init = init;
+exports.distance = distance;
+exports.clear = clear;
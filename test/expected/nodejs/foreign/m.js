@@ -0,0 +1,9 @@
+var lib = require("lib.js");
+var a = null;var b = null;
+var d = 0;
+lib.init();
+a = new lib.Point();
+b = new lib.Point();
+b.x = lib.version;
+d = lib.distance(a, b);
+lib.clear(b);
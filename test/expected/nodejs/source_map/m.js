@@ -0,0 +1,13 @@
+var RTL$ = require("test_rtl.js");
+var i = 0;
+
+function p(a/*ARRAY OF INTEGER*/){
+	var result = 0;
+	if (a.length != 0){
+		result = a[0];
+	}
+	return result;
+}
+i = 1;
+RTL$.assert(i == 1, "m", 18);
+//# sourceMappingURL=m.js.map
@@ -1,9 +1,9 @@
 <rtl code>
 var m = function (){
 var i = 0;
-RTL$.assert(1 & 1);
+RTL$.assert(1 & 1, "m", 6);
 i = 4;
-RTL$.assert((1 + i | 0) & 1);
-RTL$.assert(!(2 & 1));
-RTL$.assert((true || false ? 1 : 0) & 1);
+RTL$.assert((1 + i | 0) & 1, "m", 8);
+RTL$.assert(!(2 & 1), "m", 9);
+RTL$.assert((true || false ? 1 : 0) & 1, "m", 10);
 }();
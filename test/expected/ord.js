@@ -3,9 +3,9 @@ var m = function (){
 var ch = 0;
 var set = 0;
 ch = 97;
-RTL$.assert(ch == 97);
+RTL$.assert(ch == 97, "m", 9);
 set = 2;
-RTL$.assert(2 == set);
-RTL$.assert((true ? 1 : 0) == 1);
-RTL$.assert((false ? 1 : 0) == 0);
+RTL$.assert(2 == set, "m", 12);
+RTL$.assert((true ? 1 : 0) == 1, "m", 13);
+RTL$.assert((false ? 1 : 0) == 0, "m", 14);
 }();
\ No newline at end of file
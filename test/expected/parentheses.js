@@ -9,7 +9,7 @@ var a = RTL$.makeArray(10, 0);
 i = 65;
 ch = i;
 i = (ch + i | 0) / 2 | 0;
-RTL$.assert(i == 65);
+RTL$.assert(i == 65, "m", 9);
 a[(i - 64 | 0) * 3 | 0] = i;
 i = i + (i - 1 | 0) | 0;
 i = (i - i | 0) + 1 | 0;
@@ -46,6 +46,6 @@ byRef(RTL$.makeRef(recordWithInnerRecord.r, "i"));
 recordWithInnerArray.aInts[0] = 123;
 recordWithInnerArray.aRecords[0].i = 123;
 recordWithInnerArray.aPointers[0].i = 123;
-RTL$.assert(recordWithMangledFields.constructor$ == 0);
-RTL$.assert(!recordWithMangledFields.prototype$);
+RTL$.assert(recordWithMangledFields.constructor$ == 0, "m", 54);
+RTL$.assert(!recordWithMangledFields.prototype$, "m", 55);
 }();
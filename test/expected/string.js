@@ -31,22 +31,22 @@ p1(s1);
 p1(s2);
 p2(34);
 p2(a1.charCodeAt(0));
-RTL$.assert(ch1 == 34);
-RTL$.assert(34 == ch1);
-RTL$.assert(RTL$.strCmp("abc", "abc") == 0);
-RTL$.assert(RTL$.strCmp(a1, a2) == 0);
-RTL$.assert(RTL$.strCmp(a1, a2) != 0);
-RTL$.assert(RTL$.strCmp(a1, a2) > 0);
-RTL$.assert(RTL$.strCmp(a1, s1) > 0);
-RTL$.assert(RTL$.strCmp(a1, s1) >= 0);
-RTL$.assert(RTL$.strCmp(a1, s1) != 0);
-RTL$.assert(RTL$.strCmp(s1, a1) < 0);
-RTL$.assert(RTL$.strCmp(s1, a1) <= 0);
-RTL$.assert(RTL$.strCmp(s1, a1) != 0);
+RTL$.assert(ch1 == 34, "m", 41);
+RTL$.assert(34 == ch1, "m", 42);
+RTL$.assert(RTL$.strCmp("abc", "abc") == 0, "m", 44);
+RTL$.assert(RTL$.strCmp(a1, a2) == 0, "m", 46);
+RTL$.assert(RTL$.strCmp(a1, a2) != 0, "m", 47);
+RTL$.assert(RTL$.strCmp(a1, a2) > 0, "m", 48);
+RTL$.assert(RTL$.strCmp(a1, s1) > 0, "m", 50);
+RTL$.assert(RTL$.strCmp(a1, s1) >= 0, "m", 51);
+RTL$.assert(RTL$.strCmp(a1, s1) != 0, "m", 52);
+RTL$.assert(RTL$.strCmp(s1, a1) < 0, "m", 53);
+RTL$.assert(RTL$.strCmp(s1, a1) <= 0, "m", 54);
+RTL$.assert(RTL$.strCmp(s1, a1) != 0, "m", 55);
 a1[0] = 97;
 a1[1] = a1.charCodeAt(0);
-RTL$.assert(s1.charCodeAt(0) == 34);
-RTL$.assert(s2.charCodeAt(0) == 65);
+RTL$.assert(s1.charCodeAt(0) == 34, "m", 60);
+RTL$.assert(s2.charCodeAt(0) == 65, "m", 61);
 p2(s2.charCodeAt(0));
 p2(s2.charCodeAt(i));
 }();
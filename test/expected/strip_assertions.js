@@ -0,0 +1,10 @@
+var m = function (){
+var i = 0;
+
+function f(){
+	++i;
+	return false;
+}
+if (i == 0){
+}
+}();
@@ -0,0 +1,14 @@
+<rtl code>
+var m = function (){
+var intSize = 4;
+var bit = (5 >> 2 & 1) != 0;
+var i = 0;
+var r = 0;
+var s = 0;
+var b = false;
+i = 20 + intSize | 0;
+r = r;
+s = i + 1 | 0;
+i = s;
+b = ((i + 1 | 0) >> 3 & 1) != 0 && bit;
+}();
\ No newline at end of file
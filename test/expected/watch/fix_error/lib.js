@@ -0,0 +1,5 @@
+
+function value(){
+	return 1;
+}
+exports.value = value;
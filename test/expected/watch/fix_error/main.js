@@ -0,0 +1,3 @@
+var lib = require("lib.js");
+var i = 0;
+i = lib.value();
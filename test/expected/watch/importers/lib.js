@@ -0,0 +1,5 @@
+
+function value(){
+	return 2;
+}
+exports.value = value;
@@ -0,0 +1,4 @@
+var mid = require("mid.js");
+var other = require("other.js");
+var i = 0;
+i = mid.value() + other.value() | 0;
@@ -0,0 +1,6 @@
+var lib = require("lib.js");
+
+function value(){
+	return lib.value() + 1 | 0;
+}
+exports.value = value;
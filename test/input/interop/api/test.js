@@ -0,0 +1,46 @@
+"use strict";
+
+var assert = require("assert");
+var interop = require("rtl.js").interop;
+var api = require("./api.js");
+
+// constants and procedures by name
+assert.strictEqual(interop.exported(api, "limit"), 10);
+assert.strictEqual(interop.call(api, "constructor"), 10);
+assert.throws(function(){interop.exported(api, "unknown");}, /'unknown' is not exported/);
+assert.throws(function(){interop.call(api, "limit");}, /'limit' is not a procedure/);
+
+// VAR parameter of scalar type and exported variable
+var i = interop.ref(41);
+interop.call(api, "inc", i);
+assert.strictEqual(i.get(), 42);
+assert.strictEqual(interop.variable(api, "calls"), 1);
+
+// ARRAY OF CHAR
+assert.strictEqual(interop.call(api, "length", "abc"), 3);
+var s = interop.toCharArray("abc");
+assert.strictEqual(s.length, 4);
+assert.strictEqual(interop.call(api, "length", s), 3);
+interop.call(api, "upper", s);
+assert.strictEqual(interop.fromCharArray(s), "ABC");
+assert.strictEqual(interop.fromCharArray(interop.toCharArray("abc", 10)), "abc");
+assert.throws(function(){interop.toCharArray("abc", 2);}, /too long/);
+
+// records
+var p = interop.makeRecord(interop.exported(api, "Person"), {name: "john", age: 30, location: {x: -3}});
+assert.strictEqual(p.location.y, 0);
+assert.strictEqual(interop.call(api, "distance", p), 3);
+interop.call(api, "birthday", p);
+assert.strictEqual(p.age, 31);
+assert.strictEqual(interop.fromCharArray(p.name), "JOHN");
+assert.throws(function(){interop.makeRecord(api.Person, {name: "too long name"});}, /too long/);
+assert.throws(function(){interop.makeRecord(api.Person, {unknown: 0});}, /record has no field 'unknown'/);
+var made = interop.call(api, "make", 7);
+assert(made instanceof api.Person);
+assert.strictEqual(interop.fromCharArray(made.name), "nobody");
+
+// SET
+var set = interop.toSet([0, [2, 5], 9]);
+assert.deepStrictEqual(interop.fromSet(set), [0, 2, 3, 4, 5, 9]);
+assert.deepStrictEqual(interop.fromSet(interop.call(api, "odd", set)), [3, 5, 9]);
+assert.throws(function(){interop.toSet([32]);}, /integers between 0 and 31 expected/);
@@ -0,0 +1,22 @@
+"use strict";
+
+var assert = require("assert");
+var childProcess = require("child_process");
+
+function runNode(args){
+    return childProcess.spawnSync(process.execPath, args, {cwd: __dirname, encoding: "utf8"});
+}
+
+// RTL module itself does not install the handler
+var rtl = runNode(["-e", "require('rtl.js'); console.log(process.listenerCount('uncaughtExceptionMonitor'));"]);
+assert.strictEqual(rtl.stdout.trim(), "0");
+
+// program entry module maps uncaught HALT(code) to the process exit code
+var program = runNode(["main.js"]);
+assert.strictEqual(program.status, 3);
+assert.strictEqual(program.stderr, "");
+
+// HALT in a module used as a library is an ordinary uncaught exception
+var library = runNode(["-e", "require('./lib.js').stop(3);"]);
+assert.strictEqual(library.status, 1);
+assert(/HALT\(3\)/.test(library.stderr));
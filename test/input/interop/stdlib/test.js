@@ -0,0 +1,48 @@
+"use strict";
+
+var assert = require("assert");
+var childProcess = require("child_process");
+
+var input = ' -42\n1FH 2.5E3 "quoted" name rest of line\nline two\nabc\nend\n';
+var expected = [
+    "  -42",
+    "       1F",
+    "2500",
+    "quoted",
+    "name",
+    "line two",
+    "not a number",
+    "abc",
+    "end",
+    "aXYZbc",
+    "3",
+    "AXYZBC",
+    "1.4142135623730951",
+    "1024",
+    "3",
+    ""
+].join("\n");
+
+function runNode(args, options){
+    var result = childProcess.spawnSync(
+        process.execPath, args, Object.assign({cwd: __dirname, encoding: "utf8"}, options));
+    assert.strictEqual(result.stderr, "");
+    assert.strictEqual(result.status, 0);
+    return result.stdout;
+}
+
+// whole input is available at once
+assert.strictEqual(runNode(["main.js"], {input: input}), expected);
+
+// input comes by parts to non-blocking stdin: reading has to wait for data instead of failing with EAGAIN
+var feeder = 
+      "var child = require('child_process').spawn(process.execPath, "
+    +     "['-e', 'process.stdin; require(\"./main.js\")'], {stdio: ['pipe', 'inherit', 'inherit']});"
+    + "var parts = " + JSON.stringify(input.split("\n")) + ";"
+    + "var i = 0;"
+    + "var timer = setInterval(function(){"
+    +     "if (i == parts.length){clearInterval(timer); child.stdin.end(); return;}"
+    +     "child.stdin.write(parts[i] + (i == parts.length - 1 ? '' : '\\n')); ++i;"
+    + "}, 50);"
+    + "child.on('exit', function(code){process.exitCode = code;});";
+assert.strictEqual(runNode(["-e", feeder]), expected);
@@ -1,11 +1,14 @@
 "use strict";
 
+var childProcess = require("child_process");
+var Lsp = require("lsp.js");
 var nodejs = require("nodejs.js");
 var oc = require("oc");
 var oberon = require("oberon/oberon_grammar.js").language;
 var eberon = require("eberon/eberon_grammar.js").language;
 var fs = require("fs");
 var path = require("path");
+var url = require("url");
 var Test = require("test.js");
 
 function normalizeLineEndings(text){
@@ -60,6 +63,12 @@ function compile(src, language){
     return result;
 }
 
+var notRecompiled = "// not recompiled\n";
+
+// RTL modules required by compiled modules ('nodejs' tests replace them to make results the same for oberon/eberon)
+var oberonRtlModule = oberon.rtl.nodejsModule;
+var eberonRtlModule = eberon.rtl.nodejsModule;
+
 function compileNodejs(src, dirs, language){
     language.rtl.nodejsModule = "test_rtl.js"; // make test results the same for oberon/eberon
 
@@ -70,13 +79,207 @@ function compileNodejs(src, dirs, language){
     fs.mkdirSync(outDir);
 
     var errors = "";
-    nodejs.compile([src], language, function(e){errors += e;}, [], outDir);
+    var options = extractOptions(fs.readFileSync(src, "utf8"));
+    nodejs.compile([src], language, function(e){errors += e;}, [], outDir, undefined, options);
     if (errors)
         throw new Test.TestError(errors);
 
     cmpDirs(path.join(dirs.expected, subdir), outDir);
 }
 
+/*
+    Run command line compiler with project config from the test directory. The compiler is run
+    from the output directory: paths in config are relative to the config file, not to the current directory.
+*/
+function compileConfig(src, dirs){
+    var name = path.basename(src);
+    var outDir = path.resolve(path.join(dirs.output, name));
+    mkTree(outDir);
+
+    var cli = childProcess.spawnSync(
+        process.execPath,
+        [require.resolve("oc_nodejs.js"), "--config=" + path.resolve(path.join(src, "oberonjs.json"))],
+        {cwd: outDir, encoding: "utf8"});
+    if (cli.status !== 0)
+        throw new Test.TestError(cli.stdout + cli.stderr);
+
+    cmpDirs(path.join(dirs.expected, name), outDir);
+}
+
+function filterOutBundledRtlCode(text){
+    return text.replace(/var RTL\$ = \{\n[\s\S]*?\n\};\n/, "<rtl code>\n");
+}
+
+/*
+    Link all modules from the source into one script (with options from the source) and run it.
+    RTL code is not compared to make test results the same for oberon/eberon.
+*/
+function compileBundle(src, dirs, language){
+    var name = path.basename(src).replace(".ob", ".js");
+    var bundlePath = path.resolve(path.join(dirs.output, name));
+
+    var errors = "";
+    var options = extractOptions(fs.readFileSync(src, "utf8"));
+    nodejs.bundle([src], language, function(e){errors += e;}, [], bundlePath, options);
+    if (errors)
+        throw new Test.TestError(errors);
+
+    function compareFile(file, filter){
+        var result = fs.readFileSync(path.join(dirs.output, file), "utf8");
+        var expected = fs.readFileSync(path.join(dirs.expected, file), "utf8");
+        if (normalizeLineEndings(filter ? filter(result) : result) != normalizeLineEndings(expected))
+            throw new Test.TestError("Files '" + file + "' do not match.");
+    }
+    compareFile(name, filterOutBundledRtlCode);
+    if (options && options.sourceMaps)
+        compareFile(name + ".map");
+
+    var exported = require(bundlePath);
+    if (options && options.umd && !Object.keys(exported).length)
+        throw new Test.TestError("entry module is not exported");
+}
+
+function copyModules(fromDir, toDir){
+    fs.readdirSync(fromDir).forEach(function(file){
+        var filePath = path.join(fromDir, file);
+        if (fs.statSync(filePath).isFile())
+            fs.writeFileSync(path.join(toDir, file), fs.readFileSync(filePath, "utf8"));
+    });
+}
+
+/*
+    Compile 'main.ob' with symbol files enabled, then update sources from 'update' subdirectory
+    and compile again. Generated JS files are replaced with 'notRecompiled' text before the second
+    compilation, so expected results show which modules were reused.
+*/
+function compileIncremental(src, dirs, language){
+    language.rtl.nodejsModule = "test_rtl.js"; // make test results the same for oberon/eberon
+
+    var outDir = path.join(dirs.output, path.basename(src));
+    var srcDir = path.join(outDir, "src");
+    mkTree(srcDir);
+    copyModules(src, srcDir);
+
+    var errors = "";
+    function compile(){
+        nodejs.compile([path.join(srcDir, "main.ob")], language, function(e){errors += e + "\n";}, 
+                       [srcDir], outDir, undefined, {incremental: true});
+        if (errors)
+            throw new Test.TestError(errors);
+    }
+
+    compile();
+    fs.readdirSync(outDir).forEach(function(file){
+        if (path.extname(file) == ".js")
+            fs.writeFileSync(path.join(outDir, file), notRecompiled);
+    });
+    copyModules(path.join(src, "update"), srcDir);
+    compile();
+
+    cmpDirs(path.join(dirs.expected, path.basename(src)), outDir);
+}
+
+/*
+    Compile 'main.ob' for nodejs and run 'test.js' calling compiled modules via RTL interop API
+    (see 'interop' in rtl.js). 'test.js' throws if the test fails.
+*/
+function runInterop(src, dirs, language){
+    language.rtl.nodejsModule = language == eberon ? eberonRtlModule : oberonRtlModule;
+
+    var outDir = path.resolve(path.join(dirs.output, path.basename(src)));
+    mkTree(outDir);
+
+    var errors = "";
+    nodejs.compile([path.join(src, "main.ob")], language, function(e){errors += e + "\n";}, 
+                   [src], outDir, ".", {entry: "main"});
+    if (errors)
+        throw new Test.TestError(errors);
+
+    var driver = path.join(outDir, "test.js");
+    fs.writeFileSync(driver, fs.readFileSync(path.join(src, "test.js"), "utf8"));
+    require(driver);
+}
+
+/*
+    Compile 'main.ob' in watch mode, then update sources from 'update' subdirectory and let the watcher
+    recompile them. Generated JS files are replaced with 'notRecompiled' text before the update,
+    so expected results show which modules were recompiled. Reported errors are written to 'errors.txt'.
+*/
+function compileWatch(src, dirs, language){
+    language.rtl.nodejsModule = "test_rtl.js"; // make test results the same for oberon/eberon
+
+    var outDir = path.join(dirs.output, path.basename(src));
+    var srcDir = path.join(outDir, "src");
+    mkTree(srcDir);
+    copyModules(src, srcDir);
+
+    var errors = "";
+    var watcher = nodejs.watch(
+        [path.join(srcDir, "main.ob")], language, 
+        function(e){errors += path.basename(e.file) + ", line " + e.line + ": " + e.message + "\n";}, 
+        [srcDir], outDir, undefined, {});
+    try {
+        fs.readdirSync(outDir).forEach(function(file){
+            if (path.extname(file) == ".js")
+                fs.writeFileSync(path.join(outDir, file), notRecompiled);
+        });
+        var updateDir = path.join(src, "update");
+        copyModules(updateDir, srcDir);
+        watcher.recompile(fs.readdirSync(updateDir).map(function(file){
+            return path.join(srcDir, file);
+        }));
+    }
+    finally {
+        watcher.close();
+    }
+    fs.writeFileSync(path.join(outDir, "errors.txt"), errors);
+
+    cmpDirs(path.join(dirs.expected, path.basename(src)), outDir);
+}
+
+/*
+    Open 'main.ob' in language server and send requests from 'requests.json'
+    ([method, file, line, character] items). Responses and notifications are written
+    to 'responses.txt' with URIs replaced by file names.
+*/
+function languageServer(src, dirs, language){
+    var outDir = path.join(dirs.output, path.basename(src));
+    mkTree(outDir);
+
+    var srcDir = path.resolve(src);
+    function uri(file){return url.pathToFileURL(path.join(srcDir, file)).href;}
+    var prefix = url.pathToFileURL(srcDir).href + "/";
+
+    var result = "";
+    var server = new Lsp.Server(language, function(message){
+        var text = JSON.stringify(message.method ? [message.method, message.params] 
+                                                 : message.error ? message.error : message.result);
+        result += text.split(prefix).join("") + "\n";
+    });
+    server.handle({id: 0, method: "initialize", params: {}});
+    server.handle({method: "textDocument/didOpen", 
+                   params: {textDocument: {uri: uri("main.ob"), 
+                                           text: fs.readFileSync(path.join(src, "main.ob"), "utf8")}}});
+    var requests = JSON.parse(fs.readFileSync(path.join(src, "requests.json"), "utf8"));
+    requests.forEach(function(r, i){
+        // string is sent as is (to test malformed messages)
+        if (typeof r == "string"){
+            result += r + ":\n";
+            server.handleText(r);
+            return;
+        }
+        result += r.join(" ") + ":\n";
+        server.handleText(JSON.stringify(
+            {id: i + 1, method: r[0], 
+             params: {textDocument: {uri: uri(r[1])}, 
+                      position: {line: r[2], character: r[3]},
+                      context: {includeDeclaration: true}}}));
+    });
+    fs.writeFileSync(path.join(outDir, "responses.txt"), result);
+
+    cmpDirs(path.join(dirs.expected, path.basename(src)), outDir);
+}
+
 function expectOk(src, dirs, grammar){
     var result = compile(src, grammar);
     var resultName = path.basename(src).replace(".ob", ".js");
@@ -85,8 +288,9 @@ function expectOk(src, dirs, grammar){
 
 function expectError(src, dirs, language){
     var errors = "";
+    var module = readModule(src);
     try {
-        oc.compile(readModule(src), language, function(e){errors += e + "\n";});
+        oc.compile(module, language, function(e){errors += e + "\n";}, extractOptions(module.content));
     }
     catch (e){
         errors += e;
@@ -97,6 +301,41 @@ function expectError(src, dirs, language){
     compareResults(errors, resultName, dirs);
 }
 
+function expectDiagnostics(src, dirs, language){
+    var diagnostics = [];
+    oc.compile(readModule(src), language, function(e){diagnostics.push(e);});
+    if (!diagnostics.length)
+        throw new Test.TestError("compiler error expected");
+    var resultName = path.basename(src).replace(".ob", ".json");
+    compareResults(JSON.stringify(diagnostics, null, 4) + "\n", resultName, dirs);
+
+    // command line compiler prints the same diagnostics and fails
+    var cli = childProcess.spawnSync(
+        process.execPath,
+        [require.resolve("oc_nodejs.js"), 
+         "--lang=" + (language == eberon ? "eberon" : "oberon"),
+         "--diagnostics=json", 
+         "--out-dir=" + dirs.output, 
+         src],
+        {encoding: "utf8"});
+    if (cli.status === 0)
+        throw new Test.TestError("non-zero exit code expected");
+    var printed = JSON.parse(cli.stdout);
+    if (printed.map(function(d){return d.code;}).join() != diagnostics.map(function(d){return d.code;}).join())
+        throw new Test.TestError("the same diagnostics expected, got: " + cli.stdout);
+}
+
+function expectWarnings(src, dirs, language){
+    var module = readModule(src);
+    var options = extractOptions(module.content) || {};
+    if (!options.warnings)
+        options.warnings = {};
+    var warnings = "";
+    oc.compile(module, language, function(e){warnings += e + "\n";}, options);
+    var resultName = path.basename(src).replace(".ob", ".txt");
+    compareResults(warnings, resultName, dirs);
+}
+
 function run(src, dirs, language){
     var result = compile(src, language);
     var resultName = path.basename(src).replace(".ob", ".js");
@@ -111,7 +350,8 @@ function expectRuntimeError(src, dirs, language){
         run(src, dirs, language);
     }
     catch (x){
-        error += x;
+        // Oberon call stack is attached in debug mode
+        error += x.oberonStack ? x.stack : x;
     }
     if (!error.length)
         throw new Test.TestError("runtime error expected");
@@ -123,7 +363,8 @@ function makeTest(test, src, dirs, grammar){
     return function(){test(src, dirs, grammar);};
 }
 
-function makeTests(test, dirs, grammar){
+// 'dirTests': every test is a directory instead of a file
+function makeTests(test, dirs, grammar, dirTests){
     var output = dirs.output;
     if (fs.existsSync(output))
         rmTree(output);
@@ -134,7 +375,7 @@ function makeTests(test, dirs, grammar){
     for(var i = 0; i < sources.length; ++i){
         var source = sources[i];
         var filePath = path.join(dirs.input, source);
-        if (fs.statSync(filePath).isFile())
+        if (fs.statSync(filePath).isDirectory() == !!dirTests)
             tests[source] = makeTest(test, filePath, dirs, grammar);
     }
     return tests;
@@ -195,21 +436,39 @@ function outputSubdir(dirs, subdir){
 function main(){
     var okDirs = makeTestDirs();
     var errDirs = makeTestDirs("errors");
+    var diagnosticsDirs = makeTestDirs("diagnostics");
+    var warningsDirs = makeTestDirs("warnings");
     var errRuntimeDirs = makeTestDirs("errorsRT");
     var runDirs = makeTestDirs("run");
     var nodejsDirs = makeTestDirs("nodejs");
+    var incrementalDirs = makeTestDirs("incremental");
+    var watchDirs = makeTestDirs("watch");
+    var lspDirs = makeTestDirs("lsp");
+    var interopDirs = makeTestDirs("interop");
+    var bundleDirs = makeTestDirs("bundle");
+    var configDirs = makeTestDirs("config");
     var oberonDirs = makeTestDirs("oberon");
     var eberonDirs = makeTestDirs("eberon");
     var eberonRunDirs = makeTestDirs("eberon/run");
     var eberonErrDirs = makeTestDirs("eberon/errors");
+    var eberonWarningsDirs = makeTestDirs("eberon/warnings");
+    var eberonIncrementalDirs = makeTestDirs("eberon/incremental");
+    var eberonNodejsDirs = makeTestDirs("eberon/nodejs");
 
     function makeCommonTests(language, subdir){
         return {
             "expect OK": makeTests(expectOk, outputSubdir(okDirs, subdir), language),
             "expect compile error": makeTests(expectError, outputSubdir(errDirs, subdir), language),
+            "expect diagnostics": makeTests(expectDiagnostics, outputSubdir(diagnosticsDirs, subdir), language),
+            "expect warnings": makeTests(expectWarnings, outputSubdir(warningsDirs, subdir), language),
             "expect runtime error": makeTests(expectRuntimeError, outputSubdir(errRuntimeDirs, subdir), language),
             "run": makeTests(run, outputSubdir(runDirs, subdir), language),
-            "nodejs": makeTests(compileNodejs, outputSubdir(nodejsDirs, subdir), language)
+            "nodejs": makeTests(compileNodejs, outputSubdir(nodejsDirs, subdir), language),
+            "nodejs incremental": makeTests(compileIncremental, outputSubdir(incrementalDirs, subdir), language, true),
+            "nodejs watch": makeTests(compileWatch, outputSubdir(watchDirs, subdir), language, true),
+            "nodejs bundle": makeTests(compileBundle, outputSubdir(bundleDirs, subdir), language),
+            "nodejs interop": makeTests(runInterop, outputSubdir(interopDirs, subdir), language, true),
+            "language server": makeTests(languageServer, outputSubdir(lspDirs, subdir), language, true)
         };
     }
 
@@ -217,10 +476,14 @@ function main(){
         Test.run({"common": {"oberon": makeCommonTests(oberon, "oberon"),
                              "eberon": makeCommonTests(eberon, "eberon")
                             },
+                  "nodejs config": makeTests(compileConfig, configDirs, undefined, true),
                   "oberon": {"expect OK": makeTests(expectOk, oberonDirs, oberon)},
                   "eberon": {"expect OK": makeTests(expectOk, eberonDirs, eberon),
                              "run": makeTests(run, eberonRunDirs, eberon),
-                             "expect compile error": makeTests(expectError, eberonErrDirs, eberon)
+                             "expect compile error": makeTests(expectError, eberonErrDirs, eberon),
+                             "expect warnings": makeTests(expectWarnings, eberonWarningsDirs, eberon),
+                             "nodejs": makeTests(compileNodejs, eberonNodejsDirs, eberon),
+                             "nodejs incremental": makeTests(compileIncremental, eberonIncrementalDirs, eberon, true)
                             }
                  });
     return result ? 0 : -1;
@@ -115,12 +115,13 @@ return {
 "identifier": testWithSetup(
     function(){
         var IdentDeclarationContext = Class.extend({
-            init: function IdentDeclarationContext(){this.__ident = undefined;},
+            init: function IdentDeclarationContext(parent){this.__parent = parent; this.__ident = undefined;},
             handleIdent: function(id){this.__ident = id;},
             ident: function() {return this.__ident;},
             getResult: function() {return this.__ident;},
+            root: function() {return this.__parent.root();}
         });
-        function makeContext() {return new IdentDeclarationContext();}
+        function makeContext(parent) {return new IdentDeclarationContext(parent);}
 
         return setupParser(grammar.ident, language, makeContext);},
     pass("i", "abc1"),
@@ -1104,11 +1105,21 @@ return {
     ),
 "assert": testWithGrammar(
     grammar.statement,
-    pass("ASSERT(TRUE)"),
-    fail(["ASSERT()", "1 argument(s) expected, got 0"],
-         ["ASSERT(TRUE, 123)", "1 argument(s) expected, got 2"],
+    pass("ASSERT(TRUE)",
+         "ASSERT(TRUE, 123)"),
+    fail(["ASSERT()", "at least 1 argument expected, got 0"],
+         ["ASSERT(TRUE, 1, 2)", "at most 2 arguments expected, got 3"],
          ["ASSERT(123)", "type mismatch for argument 1: 'INTEGER' cannot be converted to 'BOOLEAN'"])
     ),
+"HALT": testWithContext(
+    context(grammar.statement, "VAR b: BYTE; r: REAL; i: INTEGER;"),
+    pass("HALT(1)",
+         "HALT(b)"),
+    fail(["HALT()", "1 argument(s) expected, got 0"],
+         ["HALT(1, 2)", "1 argument(s) expected, got 2"],
+         ["HALT(r)", "type mismatch for argument 1: 'REAL' cannot be converted to 'INTEGER'"],
+         ["i := HALT(1)", "procedure returning no result cannot be used in an expression"])
+    ),
 "import module with reserved name": testWithContext(
     { grammar: grammar.module,
       source: "",
@@ -1446,18 +1457,11 @@ return {
           "read-only record's field cannot be passed as VAR actual parameter"]
         )
     ),
-"local procedure": testWithContext(
-    context(grammar.procedureDeclaration,
-            "TYPE ProcType = PROCEDURE;" +
-            "VAR procVar: ProcType;" +
-            "PROCEDURE procWithProcArg(p: ProcType); END procWithProcArg;"),
+"local procedure": testWithGrammar(
+    grammar.procedureDeclaration,
     pass("PROCEDURE p; PROCEDURE innerP; END innerP; END p",
          "PROCEDURE p; PROCEDURE innerP; END innerP; BEGIN innerP() END p"),
-    fail(["PROCEDURE p; PROCEDURE innerP; END innerP; BEGIN procVar := innerP END p",
-          "local procedure 'innerP' cannot be referenced"],
-         ["PROCEDURE p; PROCEDURE innerP; END innerP; BEGIN procWithProcArg(innerP) END p",
-          "local procedure 'innerP' cannot be referenced"],
-         ["PROCEDURE p; PROCEDURE innerP; VAR innerV: INTEGER; END innerP; BEGIN innerV := 0 END p",
+    fail(["PROCEDURE p; PROCEDURE innerP; VAR innerV: INTEGER; END innerP; BEGIN innerV := 0 END p",
           "undeclared identifier: 'innerV'"])
     ),
 "open array assignment fails": testWithGrammar(
@@ -1566,6 +1570,62 @@ return {
     fail(["MODULE m; IMPORT JS; VAR v: JS.var; i: INTEGER; BEGIN i := v; END m.",
           "type mismatch: 'INTEGER' cannot be assigned to 'JS.var' expression"])
     ),
+"import SYSTEM": testWithGrammar(
+    grammar.module,
+    pass("MODULE m; IMPORT SYSTEM; END m.",
+         "MODULE m; IMPORT S := SYSTEM; CONST c = S.SIZE(INTEGER); END m.",
+         "MODULE m; IMPORT SYSTEM; TYPE A = ARRAY 3 OF CHAR; VAR i: INTEGER; BEGIN i := SYSTEM.SIZE(A) + SYSTEM.SIZE(REAL); END m.",
+         "MODULE m; IMPORT SYSTEM; VAR i: INTEGER; r: REAL; s: SET; BEGIN i := SYSTEM.VAL(INTEGER, s); r := SYSTEM.VAL(REAL, r); s := SYSTEM.VAL(SET, i); END m.",
+         "MODULE m; IMPORT SYSTEM; CONST b = SYSTEM.BIT(5, 2); VAR i: INTEGER; BEGIN IF SYSTEM.BIT(i, 31) & b THEN END; END m."
+         ),
+    fail(["MODULE m; IMPORT SYSTEM; VAR i: INTEGER; BEGIN i := SYSTEM.ADR(i); END m.",
+          "SYSTEM.ADR is not supported in JavaScript"],
+         ["MODULE m; IMPORT SYSTEM; TYPE T = RECORD END; VAR i: INTEGER; BEGIN i := SYSTEM.SIZE(T); END m.",
+          "SYSTEM.SIZE is not defined for 'T'"],
+         ["MODULE m; IMPORT SYSTEM; VAR i: INTEGER; BEGIN i := SYSTEM.SIZE(i); END m.",
+          "type name expected"],
+         ["MODULE m; IMPORT SYSTEM; VAR i: INTEGER; b: BOOLEAN; BEGIN i := SYSTEM.VAL(INTEGER, b); END m.",
+          "SYSTEM.VAL cannot reinterpret 'BOOLEAN' as 'INTEGER'"],
+         ["MODULE m; IMPORT SYSTEM; VAR i: INTEGER; r: REAL; BEGIN i := SYSTEM.VAL(INTEGER, r); END m.",
+          "SYSTEM.VAL cannot reinterpret 'REAL' as 'INTEGER'"],
+         ["MODULE m; IMPORT SYSTEM; VAR r: REAL; s: SET; BEGIN r := SYSTEM.VAL(REAL, s); END m.",
+          "SYSTEM.VAL cannot reinterpret 'SET' as 'REAL'"],
+         ["MODULE m; IMPORT SYSTEM; VAR i: INTEGER; BEGIN i := INTEGER; END m.",
+          "type name 'INTEGER' cannot be used as an expression"],
+         ["MODULE m; IMPORT SYSTEM; VAR b: BOOLEAN; BEGIN b := SYSTEM.BIT(1.5, 1); END m.",
+          "type mismatch for argument 1: 'REAL' cannot be converted to 'INTEGER'"]
+          )
+    ),
+"foreign module declaration": testWithGrammar(
+    grammar.module,
+    pass("MODULE m [\"lib\"]; END m.",
+         "MODULE m [\"./lib.js\"]; IMPORT JS; CONST c* = 1; TYPE T* = RECORD f*: INTEGER END; PT* = POINTER TO T;"
+            + "PROCEDURE p*; PROCEDURE f*(i: INTEGER; p: PT; a: ARRAY OF INTEGER): PT; END m."),
+    fail(["MODULE m [\"\"]; END m.", "JavaScript module path expected"],
+         ["MODULE m [lib]; END m.", "JavaScript module path expected"],
+         ["MODULE m [\"lib\"] END m.", "';' expected"],
+         ["MODULE m [\"lib\"]; VAR i*: INTEGER; END m.", "END expected (MODULE)"],
+         ["MODULE m [\"lib\"]; PROCEDURE p*; END p; END m.", "original module name 'm' expected, got 'p'"],
+         ["MODULE m [\"lib\"]; BEGIN END m.", "END expected (MODULE)"],
+         ["MODULE m [\"lib\"]; PROCEDURE p*; PROCEDURE p*(i: INTEGER); END m.", "'p' already declared"],
+         ["MODULE m [\"lib\"]; PROCEDURE p*(i: INTEGER; VAR j: INTEGER); END m.",
+          "parameter 2 of JavaScript procedure cannot be VAR or of record type (use POINTER instead of record)"],
+         ["MODULE m [\"lib\"]; TYPE T = RECORD END; PROCEDURE p*(r: T); END m.",
+          "parameter 1 of JavaScript procedure cannot be VAR or of record type (use POINTER instead of record)"]
+         )
+    ),
+"import foreign module": testWithModule(
+    "MODULE test [\"lib\"]; TYPE T* = RECORD f*: INTEGER END; PT* = POINTER TO T;"
+        + "PROCEDURE p*(i: INTEGER): PT; PROCEDURE s*(r: PT); END test.",
+    pass("MODULE m; IMPORT test; VAR p: test.PT; BEGIN p := test.p(1); test.s(p); END m."),
+    fail(["MODULE m; IMPORT test; BEGIN test.p(TRUE); END m.",
+          "type mismatch for argument 1: 'BOOLEAN' cannot be converted to 'INTEGER'"],
+         ["MODULE m; IMPORT test; VAR i: INTEGER; BEGIN i := test.p(1); END m.",
+          "type mismatch: 'INTEGER' cannot be assigned to 'PT' expression"],
+         ["MODULE m; IMPORT test; VAR p: test.PT; BEGIN test.s(p^); END m.",
+          "type mismatch for argument 1: 'T' cannot be converted to 'PT'"]
+         )
+    ),
 "import unknown module": testWithGrammar(
     grammar.module,
     pass(),
@@ -26,6 +26,7 @@ function fail(/*...*/){return Array.prototype.slice.call(arguments);}
 var TestModuleGenerator = Class.extend({
     init: function TestModuleGenerator(){},
     prolog: function(){return undefined;},
+    foreignImport: function(){return undefined;},
     epilog: function(){return undefined;}
 });
 
@@ -77,6 +78,8 @@ function testWithSetup(setup, pass, fail){
 
 function parseInContext(grammar, s, context){
     var stream = new Stream.Type(s);
+    if (context.root)
+        context.root().source = stream;
     if (!grammar(stream, context) || !Stream.eof(stream))
         throw new Errors.Error("not parsed");
 }
@@ -465,6 +465,14 @@ exports.suite = {
     pass("LEN(s)"),
     fail()
     ),
+"ASSERT with STRING message": testWithContext(
+    context(grammar.statement,
+            "VAR s: STRING; a: ARRAY 3 OF CHAR;"),
+    pass("ASSERT(TRUE, s)",
+         "ASSERT(TRUE, \"message\")",
+         "ASSERT(TRUE, 123)"),
+    fail(["ASSERT(TRUE, a)", "INTEGER or STRING expected as a second argument of ASSERT, got 'ARRAY 3 OF CHAR'"])
+    ),
 "STRING indexing": testWithContext(
     context(grammar.expression,
             "VAR s: STRING;"
@@ -1611,5 +1619,483 @@ exports.suite = {
             + "PROCEDURE stringArray(a: ARRAY OF STRING): BOOLEAN; RETURN FALSE; END;"
             ),
     pass("stringArray(a)")
-    )
+    ),
+"generic types": {
+    "declaration": testWithGrammar(
+        grammar.declarationSequence,
+        pass("TYPE T<A> = RECORD PROCEDURE get(): A; END;",
+             "TYPE T<A, B> = RECORD PROCEDURE get(a: A): B; END;",
+             "TYPE T<A> = RECORD next: POINTER TO T<A>; END;",
+             "TYPE T<A> = RECORD a: ARRAY * OF A; m: MAP OF A; END;",
+             "TYPE P<A> = PROCEDURE(a: A): A;",
+             "TYPE P<A> = PROCEDURE(VAR a: ARRAY OF A);"
+             ),
+        fail(["TYPE T<A> = ARRAY 3 OF INTEGER;", "only RECORD or PROCEDURE type can have type parameters"],
+             ["TYPE T<A> = POINTER TO RECORD END;", "only RECORD or PROCEDURE type can have type parameters"],
+             ["TYPE T<A, A> = RECORD END;", "type parameter 'A' already declared"],
+             ["TYPE T<A> = RECORD a: A; END;", 
+              "type parameter 'A' has no default value, variable (or field) of this type must be initialized explicitly"],
+             ["TYPE T<A> = RECORD next: POINTER TO T<INTEGER>; END;", 
+              "generic type 'T' cannot be instantiated before its declaration is complete"]
+             )
+        ),
+    "instantiation": testWithContext(
+        context(grammar.declarationSequence,
+                "TYPE T<A> = RECORD PROCEDURE T(a: A); a: A; END;"
+                + "R = RECORD END; Proc = PROCEDURE;"
+                + "PROCEDURE T.T(a: A) | a(a); END;"
+                ),
+        pass("VAR t: POINTER TO T<STRING>;",
+             "VAR t: POINTER TO T<POINTER TO R>;",
+             "VAR t: POINTER TO T<Proc>;",
+             "VAR t: POINTER TO T<POINTER TO T<BOOLEAN>>;",
+             "PROCEDURE p(t: T<INTEGER>); END;",
+             "PROCEDURE p(VAR t: ARRAY OF T<INTEGER>); END;",
+             "PROCEDURE p(); BEGIN t <- NEW T<INTEGER>(123); ASSERT(t.a = 123); END;",
+             "PROCEDURE p(); VAR t: POINTER TO T<STRING>; BEGIN t := NEW T<STRING>(\"abc\"); t.a := t.a + \"d\"; END;",
+             "TYPE D = RECORD(R) END;"
+             ),
+        fail(["VAR t: T;", "type arguments expected for generic type 'T'"],
+             ["TYPE D = RECORD(T<INTEGER>) END;", "instance of generic type 'T' cannot be used as base type"],
+             ["VAR t: R<INTEGER>;", "'R' is not a generic type, type arguments are not expected"],
+             ["VAR t: POINTER TO T<INTEGER, INTEGER>;", "generic type 'T' expects 1 type argument(s), got 2"],
+             ["VAR t: POINTER TO T<R>;", "'R' cannot be used as type argument: only basic types, STRING, pointers and procedure types are supported"],
+             ["VAR t: POINTER TO T<undeclared>;", "undeclared identifier: 'undeclared'"],
+             ["PROCEDURE p(); BEGIN t <- NEW T<INTEGER>(\"abc\"); END;", 
+              "type mismatch for argument 1: 'multi-character string' cannot be converted to 'INTEGER'"],
+             ["PROCEDURE p(); VAR t: POINTER TO T<INTEGER>; BEGIN t := NEW T<BOOLEAN>(TRUE); END;", 
+              "type mismatch: 'POINTER TO T<INTEGER>' cannot be assigned to 'POINTER TO T<BOOLEAN>' expression"],
+             ["PROCEDURE p(); BEGIN t <- NEW T<INTEGER>(123); t.a := TRUE; END;", 
+              "type mismatch: 'INTEGER' cannot be assigned to 'BOOLEAN' expression"]
+             )
+        ),
+    "methods": testWithContext(
+        context(grammar.declarationSequence,
+                "TYPE T<A> = RECORD PROCEDURE T(a: A); PROCEDURE get(): A; PROCEDURE set(a: A); a: A; END;"
+                + "PROCEDURE T.T(a: A) | a(a); END;"
+                + "PROCEDURE T.get(): A; RETURN SELF.a; END;"
+                ),
+        pass("PROCEDURE T.set(a: A); BEGIN SELF.a := a; END;",
+             "PROCEDURE T.set(a: A); BEGIN b <- a; SELF.a := b; END;",
+             "PROCEDURE T.set(a: A); VAR p: POINTER TO T<A>; BEGIN p := NEW T<A>(a); SELF.a := p.a; END;"
+             ),
+        fail(["PROCEDURE T.set(a: A); BEGIN SELF.a := 0; END;", 
+              "type mismatch: 'A' cannot be assigned to 'INTEGER' expression"],
+             ["PROCEDURE T.set(a: A); VAR b: A; END;", 
+              "type parameter 'A' has no default value, variable (or field) of this type must be initialized explicitly"],
+             ["PROCEDURE p(a: A); END;", "undeclared identifier: 'A'"]
+             )
+        ),
+    "method call": testWithContext(
+        context(grammar.expression,
+                "TYPE T<A> = RECORD PROCEDURE T(a: A); PROCEDURE get(): A; a: A; END;"
+                + "VAR pi: POINTER TO T<INTEGER>; ps: POINTER TO T<STRING>;"
+                + "PROCEDURE T.T(a: A) | a(a); END;"
+                + "PROCEDURE T.get(): A; RETURN SELF.a; END;"
+                ),
+        pass("pi.get() = 0",
+             "ps.get() = \"abc\"",
+             "pi.a + pi.get() = 0"
+             ),
+        fail(["pi.get() = \"abc\"", "type mismatch: expected 'INTEGER', got 'multi-character string'"])
+        ),
+    "procedure type": testWithContext(
+        context(grammar.statement,
+                "TYPE P<A> = PROCEDURE(a: A): A;"
+                + "VAR pi: P<INTEGER>; ps: P<STRING>;"
+                + "PROCEDURE intProc(i: INTEGER): INTEGER; RETURN i; END;"
+                + "PROCEDURE stringProc(s: STRING): STRING; RETURN s; END;"
+                ),
+        pass("pi := intProc",
+             "ps := stringProc",
+             "ASSERT(pi(1) = 1)"
+             ),
+        fail(["pi := stringProc", 
+              "type mismatch: 'P<INTEGER>' cannot be assigned to 'PROCEDURE(STRING): STRING' expression"],
+             ["ps := pi", "type mismatch: 'P<STRING>' cannot be assigned to 'P<INTEGER>' expression"]
+             )
+        )
+    },
+"exceptions": {
+    "declaration": testWithGrammar(
+        grammar.declarationSequence,
+        pass("TYPE E = RECORD(EXCEPTION) END;",
+             "TYPE E = RECORD(EXCEPTION) PROCEDURE E(); END; PROCEDURE E.E() | SUPER(\"message\"); END;",
+             "TYPE E = RECORD(EXCEPTION) END; PROCEDURE p(); BEGIN e <- NEW E(\"message\"); ASSERT(e.message = \"message\"); END;"
+             ),
+        fail(["TYPE E = RECORD(EXCEPTION) END; T = ARRAY 3 OF E;", 
+              "cannot use 'E' as an element of static array because it has constructor with parameters"],
+             ["TYPE E = RECORD(EXCEPTION) message: STRING; END;", 
+              "base record already has field: 'message'"]
+             )
+        ),
+    "RAISE": testWithContext(
+        context(grammar.statement,
+                "TYPE E = RECORD(EXCEPTION) END; PE = POINTER TO E; R = RECORD END;"
+                + "VAR pe: PE; r: R;"
+                ),
+        pass("RAISE(NEW EXCEPTION(\"message\"))",
+             "RAISE(NEW E(\"message\"))",
+             "RAISE(EXCEPTION(\"message\"))",
+             "RAISE(pe)",
+             "RAISE(pe^)"
+             ),
+        fail(["RAISE(r)", "EXCEPTION or POINTER TO EXCEPTION (or its extension) expected as an argument of RAISE, got 'R'"],
+             ["RAISE(1)", "EXCEPTION or POINTER TO EXCEPTION (or its extension) expected as an argument of RAISE, got 'INTEGER'"],
+             ["RAISE()", "1 argument(s) expected, got 0"]
+             )
+        ),
+    "TRY": testWithContext(
+        context(grammar.statement,
+                "TYPE E = RECORD(EXCEPTION) code: INTEGER; END; E2 = RECORD(E) END; R = RECORD END;"
+                + "VAR i: INTEGER; s: STRING;"
+                ),
+        pass("TRY i := 1; FINALLY i := 2; END",
+             "TRY i := 1; EXCEPT e OF EXCEPTION: s := e.message; END",
+             "TRY i := 1; EXCEPT e OF E: i := e.code; | E2: i := 0; | EXCEPTION: s := e.message; END",
+             "TRY i := 1; EXCEPT e OF E2: RAISE(e); END",
+             "TRY i := 1; EXCEPT e OF E: i := e.code; FINALLY i := 2; END",
+             "TRY TRY i := 1; EXCEPT e OF E: i := 2; END; EXCEPT e OF E: i := 3; END",
+             "TRY i := 1; EXCEPT e OF E: TRY i := 2; EXCEPT e2 OF E2: i := e.code; END; END",
+             "TRY j <- 1; FINALLY j <- 2; END"
+             ),
+        fail(["TRY i := 1; END", "EXCEPT or FINALLY expected (TRY)"],
+             ["TRY i := 1; EXCEPT e: i := 2; END", "OF expected (EXCEPT)"],
+             ["TRY i := 1; EXCEPT e OF E: i := 2;", "END expected (TRY)"],
+             ["TRY i := 1; EXCEPT e OF R: i := 2; END", "invalid type test: 'R' is not an extension of 'EXCEPTION'"],
+             ["TRY i := 1; EXCEPT e OF E: e := NIL; END", "cannot assign to exception variable"],
+             ["TRY i := 1; EXCEPT i OF E: END", "'i' already declared in module scope"],
+             ["TRY i := 1; EXCEPT e OF E: TRY i := 2; EXCEPT e OF E2: END; END", "'e' already declared in procedure scope"],
+             ["TRY j <- 1; FINALLY i := j; END", "undeclared identifier: 'j'"],
+             ["TRY i := 1; EXCEPT e OF E: FINALLY i := e.code; END", "undeclared identifier: 'e'"]
+             )
+        )
+    },
+"closures": {
+    "local procedure can be referenced": testWithContext(
+        context(grammar.procedureDeclaration,
+                "TYPE ProcType = PROCEDURE; IntProc = PROCEDURE(): INTEGER;"
+                + "VAR procVar: ProcType;"
+                + "PROCEDURE procWithProcArg(p: ProcType); END;"),
+        pass("PROCEDURE p(); PROCEDURE innerP(); END; BEGIN procVar := innerP; END",
+             "PROCEDURE p(); PROCEDURE innerP(); END; BEGIN procWithProcArg(innerP); END",
+             "PROCEDURE p(): IntProc; VAR i: INTEGER; PROCEDURE innerP(): INTEGER; RETURN i; END; RETURN innerP; END",
+             "PROCEDURE p(a: INTEGER; VAR v: INTEGER); PROCEDURE innerP(); BEGIN INC(v); END; BEGIN innerP(); END",
+             "PROCEDURE p(); PROCEDURE innerP(); BEGIN procVar := innerP; END; BEGIN innerP(); END"
+             ),
+        fail(["PROCEDURE p(); PROCEDURE innerP(i: INTEGER); END; BEGIN procVar := innerP; END",
+              "type mismatch: 'ProcType' cannot be assigned to 'PROCEDURE(INTEGER)' expression"],
+             ["PROCEDURE p(VAR v: INTEGER); PROCEDURE innerP(); BEGIN INC(v); END; BEGIN procVar := innerP; END",
+              "local procedure 'innerP' cannot be referenced because it uses VAR parameter 'v' of enclosing procedure"],
+             ["PROCEDURE p(VAR v: INTEGER); PROCEDURE innerP(); BEGIN procVar := innerP; INC(v); END; END",
+              "local procedure 'innerP' is referenced and cannot use VAR parameter 'v' of enclosing procedure"],
+             ["PROCEDURE p(VAR v: INTEGER); PROCEDURE use(); BEGIN INC(v); END; PROCEDURE innerP(); BEGIN use(); END; BEGIN procVar := innerP; END",
+              "local procedure 'innerP' cannot be referenced because it uses VAR parameter 'v' of enclosing procedure"],
+             ["PROCEDURE p(VAR v: INTEGER); PROCEDURE inner(); PROCEDURE innerP(); BEGIN INC(v); END; BEGIN procVar := innerP; END; END",
+              "local procedure 'innerP' cannot be referenced because it uses VAR parameter 'v' of enclosing procedure"]
+             )
+        ),
+    "anonymous procedure": testWithContext(
+        context(grammar.statement,
+                "TYPE ProcType = PROCEDURE; IntProc = PROCEDURE(i: INTEGER): INTEGER;"
+                + "VAR procVar: ProcType; intProc: IntProc; i: INTEGER;"
+                + "PROCEDURE procWithProcArg(p: ProcType); END;"),
+        pass("procVar := PROCEDURE; END",
+             "procVar := PROCEDURE(); BEGIN i := 1; END",
+             "procWithProcArg(PROCEDURE(); BEGIN INC(i); END)",
+             "intProc := PROCEDURE(a: INTEGER): INTEGER; VAR b: INTEGER; BEGIN b := a * 2; RETURN b; END"
+             ),
+        fail(["procVar := PROCEDURE(a: INTEGER); END",
+              "type mismatch: 'ProcType' cannot be assigned to 'PROCEDURE(INTEGER)' expression"],
+             ["intProc := PROCEDURE(a: INTEGER): BOOLEAN; RETURN a = 0; END",
+              "type mismatch: 'IntProc' cannot be assigned to 'PROCEDURE(INTEGER): BOOLEAN' expression"],
+             ["procVar := PROCEDURE(); BEGIN SELF.i := 0; END",
+              "SELF can be used only in methods"]
+             )
+        ),
+    "anonymous procedure in procedure": testWithContext(
+        context(grammar.procedureDeclaration,
+                "TYPE ProcType = PROCEDURE; T = RECORD END; PT = POINTER TO T; Derived = RECORD(T) i: INTEGER; END; PDerived = POINTER TO Derived;"
+                + "VAR procVar: ProcType;"),
+        pass("PROCEDURE p(); VAR i: INTEGER; BEGIN procVar := PROCEDURE(); BEGIN INC(i); END; END",
+             "PROCEDURE p(i: INTEGER): ProcType; RETURN PROCEDURE(); VAR j: INTEGER; BEGIN j := i; END; END",
+             "PROCEDURE p(VAR v: INTEGER); BEGIN procVar := PROCEDURE(); VAR i: INTEGER; PROCEDURE inner(VAR vi: INTEGER); BEGIN INC(vi); END; BEGIN inner(i); END; END",
+             "PROCEDURE p(b: PT); BEGIN procVar := PROCEDURE(); BEGIN v <- b; IF v IS PDerived THEN v.i := 0; END; END; END"
+             ),
+        fail(["PROCEDURE p(VAR v: INTEGER); BEGIN procVar := PROCEDURE(); BEGIN INC(v); END; END",
+              "anonymous procedure cannot use VAR parameter 'v' of enclosing procedure"],
+             ["PROCEDURE p(VAR v: INTEGER); PROCEDURE innerP(); BEGIN INC(v); END; BEGIN procVar := PROCEDURE(); BEGIN innerP(); END; END",
+              "anonymous procedure cannot use VAR parameter 'v' of enclosing procedure"],
+             ["PROCEDURE p(b: PT); BEGIN IF b IS PDerived THEN procVar := PROCEDURE(); BEGIN b.i := 0; END; END; END",
+              "anonymous procedure cannot use variable 'b' of enclosing procedure while its type is promoted"],
+             ["PROCEDURE p(b: PT); BEGIN procVar := PROCEDURE(); BEGIN IF b IS PDerived THEN b.i := 0; END; END; END",
+              "anonymous procedure cannot use variable 'b' of enclosing procedure while its type is promoted"],
+             ["PROCEDURE p(b: PT); PROCEDURE innerP(); BEGIN IF b IS PDerived THEN b.i := 0; END; END; BEGIN procVar := innerP; END",
+              "local procedure 'innerP' cannot be referenced because it uses variable 'b' of enclosing procedure while its type is promoted"],
+             ["PROCEDURE p(b: PT); PROCEDURE innerP(); BEGIN IF b IS PDerived THEN b.i := 0; END; END; BEGIN procVar := PROCEDURE(); BEGIN innerP(); END; END",
+              "anonymous procedure cannot use variable 'b' of enclosing procedure while its type is promoted"]
+             )
+        ),
+    "anonymous procedure in method": testWithContext(
+        context(grammar.declarationSequence,
+                "TYPE ProcType = PROCEDURE; T = RECORD PROCEDURE m(); i: INTEGER; END; PT = POINTER TO T;"
+                + "VAR procVar: ProcType;"),
+        pass("PROCEDURE T.m(); VAR i: INTEGER; BEGIN procVar := PROCEDURE(); BEGIN INC(i); END; END;",
+             "PROCEDURE T.m(); BEGIN i <- SELF.i; procVar := PROCEDURE(); VAR j: INTEGER; BEGIN j := i; END; END;"
+             ),
+        fail(["PROCEDURE T.m(); BEGIN procVar := PROCEDURE(); BEGIN SELF.i := 0; END; END;",
+              "SELF cannot be captured by anonymous or local procedure"],
+             ["PROCEDURE T.m(); BEGIN procVar := PROCEDURE(); VAR p: PT; BEGIN p := SELF(POINTER); END; END;",
+              "SELF cannot be captured by anonymous or local procedure"],
+             ["PROCEDURE T.m(); BEGIN procVar := PROCEDURE(); BEGIN procVar := PROCEDURE(); BEGIN SELF.i := 0; END; END; END;",
+              "SELF cannot be captured by anonymous or local procedure"],
+             ["PROCEDURE T.m(); PROCEDURE inner(); BEGIN SELF.i := 0; END; END;",
+              "SELF cannot be captured by anonymous or local procedure"]
+             )
+        )
+    },
+"interfaces": {
+    "declaration": testWithGrammar(
+        grammar.declarationSequence,
+        pass("TYPE I = INTERFACE END;",
+             "TYPE I = INTERFACE PROCEDURE m(); END;",
+             "TYPE I = INTERFACE PROCEDURE m(); PROCEDURE f(a: INTEGER): BOOLEAN END;",
+             "TYPE I* = INTERFACE PROCEDURE m*(); END;",
+             "TYPE I = INTERFACE PROCEDURE m(); END; R = RECORD IMPLEMENTS I END; PROCEDURE R.m(); END;",
+             "TYPE I = INTERFACE PROCEDURE m(); END; R = RECORD IMPLEMENTS I PROCEDURE m(); END; PROCEDURE R.m(); END;",
+             "TYPE I1 = INTERFACE PROCEDURE m(); END; I2 = INTERFACE PROCEDURE m(); PROCEDURE f(); END;"
+                + "R = RECORD IMPLEMENTS I1, I2 END; PROCEDURE R.m(); END; PROCEDURE R.f(); END;",
+             "TYPE I = INTERFACE PROCEDURE m(); END; B = RECORD END; R = RECORD(B) IMPLEMENTS I END; PROCEDURE R.m(); END;",
+             "TYPE I = INTERFACE PROCEDURE m(); END; B = RECORD IMPLEMENTS I END; R = RECORD(B) END; PROCEDURE B.m(); END; PROCEDURE R.m(); END;"
+             ),
+        fail(["TYPE I = INTERFACE PROCEDURE m(); PROCEDURE m(); END;", 
+              "cannot declare a new method 'm': method already was declared"],
+             ["TYPE I = INTERFACE PROCEDURE m*(); END;", 
+              "method 'm' cannot be exported because record itself is not exported"],
+             ["VAR v: INTERFACE END;", 
+              "INTERFACE can be declared only as a named type at module level"],
+             ["PROCEDURE p(); TYPE I = INTERFACE END; END;", 
+              "INTERFACE can be declared only as a named type at module level"],
+             ["TYPE R = RECORD IMPLEMENTS INTEGER END;", 
+              "INTERFACE expected after IMPLEMENTS, got 'INTEGER'"],
+             ["TYPE I = INTERFACE END; R = RECORD IMPLEMENTS I, I END;", 
+              "'R' already implements 'I'"],
+             ["TYPE I = INTERFACE PROCEDURE m(); END; R = RECORD IMPLEMENTS I PROCEDURE m(a: INTEGER); END;", 
+              "'R' cannot implement 'I': method 'm' signature mismatch: should be 'PROCEDURE', got 'PROCEDURE(INTEGER)'"],
+             ["TYPE I = INTERFACE PROCEDURE m(); END; R = RECORD IMPLEMENTS I m: INTEGER; END;", 
+              "'R' cannot implement 'I': record already has field 'm'"],
+             ["TYPE I = INTERFACE PROCEDURE m(); END; R = RECORD IMPLEMENTS I END; PROCEDURE R.m(a: INTEGER); END;", 
+              "overridden method 'm' signature mismatch: should be 'PROCEDURE', got 'PROCEDURE(INTEGER)'"],
+             ["TYPE I = INTERFACE PROCEDURE m(); END; R = RECORD IMPLEMENTS I END; VAR r: R;", 
+              "cannot instantiate 'R' because it has abstract method(s): m"]
+             )
+        ),
+    "assignment": testWithContext(
+        context(grammar.statement,
+                "TYPE I = INTERFACE PROCEDURE m(): INTEGER; END; J = INTERFACE END;"
+                + "R = RECORD IMPLEMENTS I END; PR = POINTER TO R; D = RECORD(R) END; PD = POINTER TO D;"
+                + "Other = RECORD END; POther = POINTER TO Other;"
+                + "VAR i: I; j: J; pr: PR; pd: PD; po: POther; r: R;"
+                + "PROCEDURE R.m(): INTEGER; RETURN 0; END;"
+                + "PROCEDURE pass(a: I); END; PROCEDURE passVar(VAR a: I); END;"),
+        pass("i := NIL",
+             "i := pr",
+             "i := pd",
+             "i := NEW R()",
+             "pass(pr)",
+             "passVar(i)",
+             "ASSERT(i.m() = 0)",
+             "ASSERT(i = pr)",
+             "ASSERT(pd # i)",
+             "ASSERT(i # NIL)"
+             ),
+        fail(["i := po", "type mismatch: 'I' cannot be assigned to 'POther' expression"],
+             ["i := j", "type mismatch: 'I' cannot be assigned to 'J' expression"],
+             ["i := r", "type mismatch: 'I' cannot be assigned to 'R' expression"],
+             ["pr := i", "type mismatch: 'PR' cannot be assigned to 'I' expression"],
+             ["passVar(pr)", "type mismatch for argument 1: cannot pass 'PR' as VAR parameter of type 'I'"],
+             ["i.f()", "type 'I' has no 'f' field"],
+             ["ASSERT(i = po)", "type mismatch: expected 'I', got 'POther'"]
+             )
+        ),
+    "type test": testWithContext(
+        context(grammar.expression,
+                "TYPE I = INTERFACE END; J = INTERFACE END;"
+                + "R = RECORD IMPLEMENTS I END; PR = POINTER TO R;"
+                + "VAR i: I; j: J; pr: PR; n: INTEGER;"),
+        pass("i IS J",
+             "i IS PR",
+             "pr IS J",
+             "i(J) = j",
+             "i(PR) = pr",
+             "pr(J) = j"
+             ),
+        fail(["n IS J", "invalid type test: POINTER or INTERFACE expected, got 'INTEGER'"],
+             ["i IS R", "invalid type test: POINTER type or INTERFACE expected as an argument of type test, got 'R'"],
+             ["i(R)", "invalid type cast: POINTER type or INTERFACE expected as an argument of type cast, got 'R'"]
+             )
+        ),
+    "type promotion": testWithContext(
+        context(grammar.procedureDeclaration,
+                "TYPE I = INTERFACE PROCEDURE m(); END; J = INTERFACE PROCEDURE f(); END;"
+                + "R = RECORD IMPLEMENTS I PROCEDURE g(); END; PR = POINTER TO R;"
+                + "B = RECORD END; PB = POINTER TO B; VAR vi: I;"),
+        pass("PROCEDURE p(i: I); BEGIN IF i IS PR THEN i.g(); END; END",
+             "PROCEDURE p(i: I); BEGIN IF i IS J THEN i.f(); END; END",
+             "PROCEDURE p(pb: PB); BEGIN IF pb IS J THEN pb.f(); END; END",
+             "PROCEDURE p(pr: PR); BEGIN IF pr IS J THEN pr.f(); END; END",
+             "PROCEDURE p(pb: PB); BEGIN IF (pb IS I) & (pb IS J) THEN pb.f(); END; END",
+             "PROCEDURE p(i: I); BEGIN IF ~(i IS J) THEN ELSE i.f(); END; END",
+             "PROCEDURE p(i: I); BEGIN ASSERT((i IS J) & (i # NIL)); ASSERT(~(i IS J) OR (i # NIL)); END",
+             "PROCEDURE p(); BEGIN pi <- vi; IF pi IS J THEN pi.f(); END; END",
+             "PROCEDURE p(i: I); BEGIN CASE i OF J: i.f(); | PR: i.g(); END; END",
+             "PROCEDURE p(pb: PB); BEGIN CASE pb OF J: pb.f(); END; END",
+             "PROCEDURE p(); BEGIN CASE vi OF J: vi.f(); END; END"
+             ),
+        fail(["PROCEDURE p(i: I); BEGIN IF i IS J THEN i.m(); END; END", "type 'J' has no 'm' field"],
+             ["PROCEDURE p(pb: PB); BEGIN IF pb IS J THEN END; pb.f(); END", "type 'B' has no 'f' field"],
+             ["PROCEDURE p(VAR i: I); BEGIN IF i IS J THEN i.f(); END; END", "type 'I' has no 'f' field"],
+             ["PROCEDURE p(i: I); BEGIN CASE i OF J: i.m(); END; END", "type 'J' has no 'm' field"],
+             ["PROCEDURE p(i: I); BEGIN CASE i OF B: END; END", 
+              "invalid type test: POINTER type or INTERFACE expected as an argument of type test, got 'B'"]
+             )
+        )
+    },
+"enumerations": {
+    "declaration": testWithGrammar(
+        grammar.declarationSequence,
+        pass("TYPE E = (a);",
+             "TYPE E = (a, b, c);",
+             "TYPE E* = (a, b);",
+             "TYPE E = (a, b); PROCEDURE p(); CONST c = b; VAR v: E; BEGIN v := c; END;",
+             "TYPE E = (a, b); VAR v: E;",
+             "TYPE E = (a, b); VAR v: ARRAY 3 OF E;",
+             "PROCEDURE p(); TYPE E = (a, b); VAR v: E; BEGIN v := b; END;"
+             ),
+        fail(["TYPE E = (a, );", "')' expected (enumeration)"],
+             ["TYPE E = (a, a);", "'a' already declared"],
+             ["TYPE E1 = (a, b); E2 = (b, c);", "'b' already declared"],
+             ["VAR v: (a, b);", "enumeration can be declared only as a named type"],
+             ["TYPE R = RECORD f: (a, b) END;", "enumeration can be declared only as a named type"]
+             )
+        ),
+    "expression": testWithContext(
+        context(grammar.expression,
+                "TYPE E = (a, b, c); F = (x, y);"
+                + "VAR e: E; f: F; i: INTEGER;"),
+        pass("e = a",
+             "e # c",
+             "e < b",
+             "a <= e",
+             "e > a",
+             "e >= c",
+             "ORD(e)",
+             "ORD(c) = 2"
+             ),
+        fail(["e = x", "type mismatch: expected 'E', got 'F'"],
+             ["e = 1", "type mismatch: expected 'E', got 'INTEGER'"],
+             ["e + a", "operator '+' type mismatch: numeric type or SET or STRING expected, got 'E'"],
+             ["-e", "operator '-' type mismatch: numeric type or SET expected, got 'E'"],
+             ["e = i", "type mismatch: expected 'E', got 'INTEGER'"]
+             )
+        ),
+    "assignment": testWithContext(
+        context(grammar.statement,
+                "TYPE E = (a, b, c); F = (x, y);"
+                + "VAR e: E; f: F; i: INTEGER;"
+                + "PROCEDURE p(v: E); END; PROCEDURE pVar(VAR v: E); END;"),
+        pass("e := b",
+             "e := e",
+             "i := ORD(e)",
+             "p(c)",
+             "pVar(e)",
+             "v <- a"
+             ),
+        fail(["e := x", "type mismatch: 'E' cannot be assigned to 'F' expression"],
+             ["e := 1", "type mismatch: 'E' cannot be assigned to 'INTEGER' expression"],
+             ["i := e", "type mismatch: 'INTEGER' cannot be assigned to 'E' expression"],
+             ["p(x)", "type mismatch for argument 1: 'F' cannot be converted to 'E'"],
+             ["a := b", "cannot assign to constant"],
+             ["INC(e)", "type mismatch for argument 1: 'E' cannot be converted to 'INTEGER'"]
+             )
+        ),
+    "CASE": testWithContext(
+        context(grammar.statement,
+                "TYPE E = (a, b, c); F = (x, y);"
+                + "VAR e: E; i: INTEGER;"),
+        pass("CASE e OF END",
+             "CASE e OF a: END",
+             "CASE e OF a: | b, c: END",
+             "CASE e OF a..b: | c: END"
+             ),
+        fail(["CASE e OF x: END", "label must be 'E' (the same as case expression), got 'F'"],
+             ["CASE e OF 0: END", "label must be 'E' (the same as case expression), got 'INTEGER'"],
+             ["CASE i OF a: END", "label must be 'INTEGER' (the same as case expression), got 'E'"]
+             )
+        ),
+    "FOR": testWithContext(
+        context(grammar.statement,
+                "TYPE E = (a, b, c); F = (x, y);"
+                + "VAR e: E; f: F; i: INTEGER;"),
+        pass("FOR e := a TO c DO END",
+             "FOR e := b TO b DO i := ORD(e); END",
+             "FOR v <- a TO c DO e := v; END",
+             "FOR e := c TO a BY -1 DO END"
+             ),
+        fail(["FOR e := 0 TO c DO END", "'E' expression expected to assign 'e', got 'INTEGER'"],
+             ["FOR e := a TO 2 DO END", "'E' expression expected as 'TO' parameter, got 'INTEGER'"],
+             ["FOR e := a TO y DO END", "'E' expression expected as 'TO' parameter, got 'F'"],
+             ["FOR i := 0 TO c DO END", "'INTEGER' expression expected as 'TO' parameter, got 'E'"],
+             ["FOR v <- a TO 2 DO END", "'E' expression expected as 'TO' parameter, got 'INTEGER'"],
+             ["FOR e := a TO c BY b DO END", "'INTEGER' expression expected as 'BY' parameter, got 'E'"]
+             )
+        ),
+    "index": testWithContext(
+        context(grammar.statement,
+                "TYPE E = (a, b, c);"
+                + "VAR e: E; s: ARRAY 3 OF INTEGER; d: ARRAY * OF INTEGER; str: STRING;"),
+        pass("s[e] := 1",
+             "s[c] := 1",
+             "d[e] := 1"
+             ),
+        fail(["str[e]", "'INTEGER' or 'BYTE' expression expected, got 'E'"])
+        ),
+    "MAP key": testWithGrammar(
+        grammar.declarationSequence,
+        pass("TYPE E = (a, b); M = MAP E OF INTEGER;",
+             "TYPE E = (a, b); VAR m: MAP E OF MAP E OF STRING;"
+             ),
+        fail(["TYPE M = MAP INTEGER OF INTEGER;", "enumeration expected as MAP key type, got 'INTEGER'"],
+             ["TYPE M = MAP STRING OF INTEGER;", "enumeration expected as MAP key type, got 'STRING'"]
+             )
+        ),
+    "MAP with enumeration key": testWithContext(
+        context(grammar.statement,
+                "TYPE E = (a, b, c); F = (x, y);"
+                + "VAR e: E; i: INTEGER; str: STRING; m, m2: MAP E OF INTEGER; sm: MAP OF INTEGER; fm: MAP F OF INTEGER;"),
+        pass("m[e] := 1",
+             "m[a] := m[b]",
+             "ASSERT(a IN m)",
+             "ASSERT(~(e IN m))",
+             "m.remove(e)",
+             "m := m2",
+             "FOR k, v IN m DO e := k; i := v; END",
+             "FOR k, v IN m DO ASSERT(k = a); END",
+             "FOR v IN m DO i := v; END"
+             ),
+        fail(["m[\"ab\"] := 1", "invalid MAP key type: 'E' expected, got 'multi-character string'"],
+             ["m[str] := 1", "invalid MAP key type: 'E' expected, got 'STRING'"],
+             ["m[x] := 1", "invalid MAP key type: 'E' expected, got 'F'"],
+             ["m[0] := 1", "invalid MAP key type: 'E' expected, got 'INTEGER'"],
+             ["sm[e] := 1", "invalid MAP key type: STRING or string literal or ARRAY OF CHAR expected, got 'E'"],
+             ["ASSERT(\"ab\" IN m)", "invalid MAP key type: 'E' expected, got 'multi-character string'"],
+             ["ASSERT(e IN sm)", "invalid MAP key type: STRING or string literal or ARRAY OF CHAR expected, got 'E'"],
+             ["m.remove(\"ab\")", "type mismatch for argument 1: 'multi-character string' cannot be converted to 'E'"],
+             ["sm.remove(e)", "type mismatch for argument 1: 'E' cannot be converted to 'ARRAY OF CHAR'"],
+             ["m := sm", "type mismatch: 'MAP E OF INTEGER' cannot be assigned to 'MAP OF INTEGER' expression"],
+             ["m := fm", "type mismatch: 'MAP E OF INTEGER' cannot be assigned to 'MAP F OF INTEGER' expression"],
+             ["FOR k, v IN m DO str := k; END", "type mismatch: 'STRING' cannot be assigned to 'E' expression"]
+             )
+        )
+    }
 };
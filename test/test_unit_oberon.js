@@ -34,6 +34,12 @@ exports.suite = {
     pass(),
     fail(["s: STRING", "undeclared identifier: 'STRING'"])
     ),
+"ASSERT code is INTEGER": testWithGrammar(
+    grammar.statement,
+    pass("ASSERT(TRUE, 123)"),
+    fail(["ASSERT(TRUE, TRUE)", "INTEGER expected as a second argument of ASSERT, got 'BOOLEAN'"],
+         ["ASSERT(TRUE, \"message\")", "INTEGER expected as a second argument of ASSERT, got 'multi-character string'"])
+    ),
 "array does not have indexOf() method": testWithContext(
     context(grammar.expression,
             "VAR a: ARRAY 3 OF INTEGER;"),
@@ -92,6 +98,17 @@ exports.suite = {
     pass(),
     fail(["PROCEDURE p(s: ARRAY OF CHAR); BEGIN s := \"abc\" END p", "cannot assign to non-VAR formal parameter"])
     ),
+"local procedure cannot be referenced": testWithContext(
+    context(grammar.procedureDeclaration,
+            "TYPE ProcType = PROCEDURE;" +
+            "VAR procVar: ProcType;" +
+            "PROCEDURE procWithProcArg(p: ProcType); END procWithProcArg;"),
+    pass(),
+    fail(["PROCEDURE p; PROCEDURE innerP; END innerP; BEGIN procVar := innerP END p",
+          "local procedure 'innerP' cannot be referenced"],
+         ["PROCEDURE p; PROCEDURE innerP; END innerP; BEGIN procWithProcArg(innerP) END p",
+          "local procedure 'innerP' cannot be referenced"])
+    ),
 "procedure": testWithGrammar(
     grammar.procedureDeclaration,
     pass(),